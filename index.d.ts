@@ -1,22 +1,252 @@
-import {RequestInfo, RequestInit, Response} from 'node-fetch'
+import {EventEmitter} from 'events'
+import {BodyInit, FetchError, Headers, RequestInfo, RequestInit, Response} from 'node-fetch'
+
+export interface Logger {
+  debug?: (message: string, fields?: object) => void
+  info?: (message: string, fields?: object) => void
+  warn?: (message: string, fields?: object) => void
+  error?: (message: string, fields?: object) => void
+}
+
+export interface HookContext {
+  url: string
+  options: RequestInit
+  attempt: number
+  response?: Response | null
+  error?: Error | null
+  waitTime?: number
+  discardedBody?: string
+  reason?: 'not-retryable' | 'retryMaxDuration' | 'retryMaxAttempts' | 'retryBudget' | 'body-not-replayable' | 'circuit-open' | 'aborted'
+}
+
+export interface MetricsSink {
+  increment?: (name: string, labels: Record<string, string>, value?: number) => void
+  observe?: (name: string, labels: Record<string, string>, value: number) => void
+}
+
+export const METRICS: {
+  requests: 'fetch_retry_requests_total'
+  attempts: 'fetch_retry_attempts_total'
+  attemptsPerRequest: 'fetch_retry_attempts_per_request'
+  attemptDuration: 'fetch_retry_attempt_duration_seconds'
+  requestDuration: 'fetch_retry_request_duration_seconds'
+  backoff: 'fetch_retry_backoff_seconds'
+}
+
+export class MetricsCollector implements MetricsSink {
+  increment(name: string, labels?: Record<string, string>, value?: number): void
+  observe(name: string, labels: Record<string, string>, value: number): void
+  getCount(name: string, labels?: Record<string, string>): number
+  getObservations(name: string, labels?: Record<string, string>): number[]
+  reset(): void
+}
+
+export class PrometheusMetrics implements MetricsSink {
+  constructor(options?: { buckets?: Record<string, number[]> })
+  increment(name: string, labels?: Record<string, string>, value?: number): void
+  observe(name: string, labels: Record<string, string>, value: number): void
+  metrics(): string
+  reset(): void
+}
+
+export interface Span {
+  spanContext(): { traceId: string, spanId: string, traceFlags: number, traceState?: { serialize(): string } }
+  setAttribute(key: string, value: string | number | boolean): any
+  setStatus(status: { code: number, message?: string }): any
+  recordException?(exception: Error): void
+  end(): void
+}
+
+export interface Tracer {
+  startSpan(name: string, options?: { kind?: number, attributes?: Record<string, string | number | boolean> }, context?: any): Span
+}
+
+export type ErrorClass = 'retryable' | 'terminal'
+
+export const ERROR_CLASSIFICATION: Readonly<Record<string, ErrorClass>>
+
+export type Hook = (context: HookContext) => void | Promise<void>
+
+export interface RetryStrategyContext {
+  retryInitialDelay: number
+  retryBackoff: number
+  retryMaxDelay?: number
+}
+
+export type RetryStrategy = 'constant' | 'linear' | 'exponential' | 'full-jitter' | 'equal-jitter' | 'decorrelated-jitter'
+  | ((attempt: number, lastDelay: number, context: RetryStrategyContext) => number)
 
 export interface RetryOptions{
   retryMaxDuration?: number
+  retryMaxAttempts?: number
   retryInitialDelay?: number
   retryBackoff?: number
+  retryStrategy?: RetryStrategy
+  retryMaxDelay?: number
   retryOnHttpError?: (error: Error) => boolean
-  retryOnHttpResponse?: (response: Response) => boolean
+  retryOnHttpResponse?: (response: Response) => boolean | Promise<boolean>
+  retryOnStatus?: Array<number | string>
+  retryOnHeaders?: Record<string, string | string[]>
+  retryOnErrorCodes?: string[]
   socketTimeout?: number
+  connectTimeout?: number
+  responseTimeout?: number
+  bodyTimeout?: number
+  hedgeDelay?: number
+  maxHedges?: number
+  responseType?: ResponseType
+  validateBody?: (data: any, response: Response) => boolean | Promise<boolean>
+  inspectResponseBody?: boolean
   forceSocketTimeout?: boolean
+  respectRetryAfter?: boolean
+  retryAfterMaxDelay?: number
+  maxBodyBufferSize?: number
+  maxDrainSize?: number
+  captureDiscardedBody?: number
+  retryNonIdempotent?: boolean
+  idempotencyKey?: boolean | string
+  errorClassification?: Record<string, ErrorClass>
+  metrics?: MetricsSink
+  tracer?: Tracer
+  traceContext?: any
+  circuitBreaker?: CircuitBreaker
+  retryBudget?: RetryBudget
+  logger?: Logger | false
+  onAttempt?: Hook
+  onRetry?: Hook
+  onSuccess?: Hook
+  onGiveUp?: Hook
+}
+
+export type ResponseType = 'json' | 'text' | 'buffer'
+
+export interface ParsedResponse<T = any> {
+  data: T
+  status: number
+  statusText: string
+  ok: boolean
+  headers: Headers
+  url: string
+  redirected: boolean
 }
 
-export interface RequestInitWithRetry extends RequestInit {
+export type FetchInput = RequestInfo | URL | { url: string, method: string, clone(): any }
+
+export interface RequestInitWithRetry extends Omit<RequestInit, 'body'> {
+  body?: BodyInit | (() => BodyInit | Promise<BodyInit>)
   retryOptions?: RetryOptions | false
+  fetch?: (url: any, init?: any) => Promise<any>
+}
+
+export class RequestAbortedError extends Error {
+  name: 'AbortError'
+  type: 'request-aborted'
 }
 
+export function setLogger(logger?: Logger | false): void
+
+export interface AttemptRecord {
+  attempt: number
+  startTime: number
+  duration: number
+  status?: number
+  error?: Error
+  waitTime?: number
+  discardedBody?: string
+  hedges?: number
+}
+
+export class RetryError extends FetchError {
+  attempts: number
+  elapsed: number
+  lastStatus?: number
+  lastError?: Error
+  history: AttemptRecord[]
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open'
+
+export interface CircuitBreakerOptions {
+  failureThreshold?: number
+  failureRateThreshold?: number
+  minimumRequests?: number
+  windowDuration?: number
+  cooldown?: number
+  halfOpenMaxRequests?: number
+  key?: (url: string) => string
+}
+
+export class CircuitBreaker extends EventEmitter {
+  constructor(options?: CircuitBreakerOptions)
+  getKey(url: string): string
+  getState(url: string): CircuitState
+  allowRequest(url: string): boolean
+  recordSuccess(url: string): void
+  recordFailure(url: string): void
+  release(url: string): void
+}
+
+export class CircuitOpenError extends FetchError {
+  name: 'CircuitOpenError'
+  type: 'circuit-open'
+  key: string
+}
+
+export interface RetryBudgetOptions {
+  ratio?: number
+  minRetriesPerSecond?: number
+  windowDuration?: number
+}
+
+export interface RetryBudgetState {
+  requests: number
+  retries: number
+  available: number
+  ratio: number
+  minRetriesPerSecond: number
+  windowDuration: number
+}
+
+export class RetryBudget {
+  constructor(options?: RetryBudgetOptions)
+  recordRequest(): void
+  canRetry(): boolean
+  tryRetry(): boolean
+  getState(): RetryBudgetState
+}
+
+export interface RequestInitWithResponseType extends RequestInitWithRetry {
+  retryOptions: RetryOptions & { responseType: ResponseType }
+}
+
+export class PolicyRegistry {
+  register(pattern: string | RegExp, retryOptions: RetryOptions | false): this
+  unregister(pattern: string | RegExp): void
+  clear(): void
+  resolve(url: string): RetryOptions | false | undefined
+}
+
+export const policies: PolicyRegistry
+
+export interface FetchWithRetry {
+  <T = any>(input: FetchInput, init: RequestInitWithResponseType): Promise<ParsedResponse<T>>
+  (input: FetchInput, init?: RequestInitWithRetry): Promise<Response>
+  extend(defaults: RequestInitWithRetry): FetchWithRetry
+}
+
+export function createFetch(defaults?: RequestInitWithRetry): FetchWithRetry
+
+declare function fetch<T = any>(
+  input: FetchInput,
+  init: RequestInitWithResponseType
+): Promise<ParsedResponse<T>>
 declare function fetch(
-  url: RequestInfo,
+  input: FetchInput,
   init?: RequestInitWithRetry
 ): Promise<Response>
 
+declare namespace fetch {
+  function extend(defaults: RequestInitWithRetry): FetchWithRetry
+}
+
 export default fetch
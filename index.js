@@ -11,9 +11,105 @@
  */
 'use strict';
 
-const AbortController = require('abort-controller');
+// native AbortController when available (Node.js 15+), which the native fetch requires
+const AbortController = global.AbortController || require('abort-controller');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 const fetch = require('node-fetch');
 const {FetchError} = fetch;
+const {PassThrough, Readable} = require('stream');
+const {CircuitBreaker, CircuitOpenError} = require('./lib/circuit-breaker');
+const {RetryBudget} = require('./lib/retry-budget');
+const {PolicyRegistry} = require('./lib/policy-registry');
+const {METRICS, createMetricsSink, MetricsCollector, PrometheusMetrics} = require('./lib/metrics');
+const {getOrigin} = require('./lib/url');
+const {startTrace} = require('./lib/tracing');
+const {ERROR_CLASSIFICATION, classifyErrorCode, isErrorClassification} = require('./lib/error-classification');
+const {
+    isStatusList, isErrorCodeList, isHeaderConditions,
+    createStatusCondition, createHeadersCondition, createErrorCodesCondition, anyCondition
+} = require('./lib/retry-conditions');
+
+/**
+ * Error thrown when the caller aborts the request through the `signal` option.
+ * It is never retried.
+ */
+class RequestAbortedError extends Error {
+    constructor(url) {
+        super(`request to ${url} was aborted`);
+        this.name = 'AbortError';
+        this.type = 'request-aborted';
+    }
+}
+
+/**
+ * Default logger, writing to the console
+ */
+const consoleLogger = {
+    debug: () => {},
+    info: (message) => console.log(message),
+    warn: (message) => console.error(message),
+    error: (message) => console.error(message)
+};
+
+/**
+ * Logger discarding all messages
+ */
+const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+/**
+ * Error thrown when the request failed after retrying, carrying the history of all attempts.
+ * It is a `FetchError`, keeping its `name` and `type`, e.g. `request-timeout`.
+ */
+class RetryError extends FetchError {
+    constructor(message, type, attempts, elapsed, history) {
+        const last = history[history.length - 1] || {};
+        super(message, type, last.error);
+        this.attempts = attempts;
+        this.elapsed = elapsed;
+        this.lastStatus = last.status;
+        this.lastError = last.error;
+        this.history = history;
+    }
+}
+
+let globalLogger = consoleLogger;
+
+// retry options by request url, applied beneath the options of each request
+const policies = new PolicyRegistry();
+
+/**
+ * Build a logger with all log methods from a user supplied logger
+ * @param {Logger|Boolean} logger logger object, or `false` for no logging at all
+ * @returns {Logger} logger with `debug`, `info`, `warn` and `error` methods
+ */
+function createLogger(logger) {
+    if (logger === false) {
+        return silentLogger;
+    }
+    const result = {};
+    for (const level of Object.keys(silentLogger)) {
+        result[level] = (typeof logger[level] === 'function') ? logger[level].bind(logger) : silentLogger[level];
+    }
+    return result;
+}
+
+/**
+ * Set the logger used by all requests that do not set `logger` in their retry options
+ * @param {Logger|Boolean} logger logger object, `false` for no logging at all, or nothing to restore console logging
+ */
+function setLogger(logger) {
+    if (typeof logger !== 'undefined' && logger !== false && (logger === null || typeof logger !== 'object')) {
+        throw new Error(`'logger' must be an object or false: ${logger}`);
+    }
+    globalLogger = (typeof logger === 'undefined') ? consoleLogger : createLogger(logger);
+}
 
 function getTimeRemaining(retryOptions) {
     if (retryOptions && retryOptions.startTime && retryOptions.retryMaxDuration) {
@@ -35,45 +131,96 @@ function isResponseTimedOut(retryOptions) {
 }
 
 /**
- * shouldRetry
- * @param {RetryOptions} retryOptions whether or not to retry on all http error codes or just >500
+ * Have we made as many attempts as allowed for this fetch operation?
+ * @param {*} retryOptions Options including retryMaxAttempts
+ * @param {Number} attempt number of attempts made so far
+ * @returns True if we have a max number of attempts set and it is reached, otherwise false
+ */
+function isMaxAttemptsReached(retryOptions, attempt) {
+    return !!(retryOptions && retryOptions.retryMaxAttempts && attempt >= retryOptions.retryMaxAttempts);
+}
+
+/**
+ * Evaluates the retry predicates for a failed attempt
+ * @param {RetryOptions} retryOptions retry options including the retry predicates
  * @param {Object} error error object if the fetch request returned an error
  * @param {Object} response fetch call response
- * @param {Number} wait Amount of time we will wait before retrying next
- * @returns {Promise<Boolean>} whether or not to retry the request
+ * @returns {Promise<Boolean>} whether or not the error or response is retryable
  */
-async function shouldRetry(retryOptions, error, response, waitTime) {
-    if (getTimeRemaining(retryOptions) < waitTime) {
-        return false;
-    } else if (retryOptions && retryOptions.retryOnHttpError && error != null) {
+async function isRetryable(retryOptions, error, response) {
+    if (retryOptions && retryOptions.retryOnHttpError && error != null) {
         // retryOnHttpError can be sync or async because either the promise or result will be
-        // bubbled up to what shouldRetry returns
+        // bubbled up to what isRetryable returns
         return retryOptions.retryOnHttpError(error);
     } else if (retryOptions && retryOptions.retryOnHttpResponse) {
         // retryOnHttpResponse can be sync or async because either the promise or result will be
-        // bubbled up to what shouldRetry returns
+        // bubbled up to what isRetryable returns
         return retryOptions.retryOnHttpResponse(response);
     } else {
         return false;
     }
 }
 
+/**
+ * Get the limit preventing another attempt after a retryable failure, if any
+ * @param {RetryOptions} retryOptions retry options including retryMaxDuration, retryMaxAttempts and retryBudget
+ * @param {Number} attempt number of attempts made so far
+ * @param {Number} waitTime Amount of time we will wait before retrying next
+ * @param {Boolean} replayable whether the request body can be sent again, the budget is not spent otherwise
+ * @returns {String|null} `retryMaxDuration`, `retryMaxAttempts` or `retryBudget` if the limit is reached, otherwise null
+ */
+function getRetryLimitReached(retryOptions, attempt, waitTime, replayable) {
+    if (getTimeRemaining(retryOptions) < waitTime) {
+        return 'retryMaxDuration';
+    } else if (isMaxAttemptsReached(retryOptions, attempt)) {
+        return 'retryMaxAttempts';
+    } else if (replayable && retryOptions.retryBudget && !retryOptions.retryBudget.canRetry()) {
+        // the retry is only taken from the budget once it is sent
+        return 'retryBudget';
+    }
+    return null;
+}
+
+/**
+ * Call a lifecycle hook if it is set in the retry options
+ * @param {RetryOptions|Boolean} retryOptions retry options
+ * @param {String} name hook name
+ * @param {Object} context information about the request passed to the hook
+ * @returns {Promise} resolved once the hook, which can be async, completed
+ */
+async function callHook(retryOptions, name, context) {
+    if (retryOptions && retryOptions[name]) {
+        await retryOptions[name](context);
+    }
+}
+
 /**
  * Retry Init to set up retry options used in `fetch-retry`
  * @param {Options} options object containing fetch options and retry options
+ * @param {String} [url] request url, used to resolve the retry options registered in `policies`
  * @returns {RetryOptions|Boolean} object containing specific attributes for retries or `false` if no retries should be performed
  */
-function retryInit(options={}) {
-    if (options.retryOptions !== false) {
-        const retryOptions = options.retryOptions || {};
+function retryInit(options={}, url) {
+    // retry options of the request take precedence over the policy registered for its url
+    const policy = (typeof url === 'undefined') ? undefined : policies.resolve(url);
+    if (options.retryOptions !== false && !(policy === false && !options.retryOptions)) {
+        const retryOptions = policy ? assignDefined({}, policy, options.retryOptions) : (options.retryOptions || {});
         checkParameters(retryOptions);
 
         // default settings (environment variables available to help unit testing)
         const DEFAULT_MAX_RETRY = parseInt(process.env.NODE_FETCH_RETRY_MAX_RETRY) || 60000;
         const DEFAULT_INITIAL_WAIT = parseInt(process.env.NODE_FETCH_RETRY_INITIAL_WAIT) || 100;
-        const DEFAULT_BACKOFF = parseInt(process.env.NODE_FETCH_RETRY_BACKOFF) || 2.0;
+        const DEFAULT_BACKOFF = parseFloat(process.env.NODE_FETCH_RETRY_BACKOFF) || 2.0;
         const DEFAULT_SOCKET_TIMEOUT = parseInt(process.env.NODE_FETCH_RETRY_SOCKET_TIMEOUT) || 30000;
         const DEFAULT_FORCE_TIMEOUT = process.env.NODE_FETCH_RETRY_FORCE_TIMEOUT || false;
+        const DEFAULT_MAX_BODY_BUFFER_SIZE = 1024 * 1024;
+        const DEFAULT_MAX_DRAIN_SIZE = 64 * 1024;
+        const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.NODE_FETCH_RETRY_MAX_ATTEMPTS) || undefined;
+
+        const logger = (typeof retryOptions.logger === 'undefined') ? globalLogger : createLogger(retryOptions.logger);
+
+        // requests that may have reached the server are only retried by default when replaying them is safe
+        const replaySafe = isIdempotent(options.method) || !!retryOptions.retryNonIdempotent || !!retryOptions.idempotencyKey;
 
         let retryMaxDuration = retryOptions.retryMaxDuration || DEFAULT_MAX_RETRY;
         // take into account action timeout if running in the context of an OpenWhisk action
@@ -87,34 +234,630 @@ function retryInit(options={}) {
         }
         if ((retryOptions.forceSocketTimeout || (DEFAULT_FORCE_TIMEOUT === 'true') || DEFAULT_FORCE_TIMEOUT === true)) { // for unit test only - test also for boolean type
             // force the use of set timeout, do not ignore if larger than retryMaxDuration
-            console.log('Forced to use socket timeout of (ms):', retryOptions.socketTimeout);
+            logger.info(`Forced to use socket timeout of (ms): ${retryOptions.socketTimeout}`, { socketTimeout: retryOptions.socketTimeout });
             socketTimeoutValue = retryOptions.socketTimeout;
         }
 
         return {
             startTime: Date.now(),
             retryMaxDuration: retryMaxDuration,
+            retryMaxAttempts: retryOptions.retryMaxAttempts || DEFAULT_MAX_ATTEMPTS,
             retryInitialDelay: retryOptions.retryInitialDelay || DEFAULT_INITIAL_WAIT,
             retryBackoff: retryOptions.retryBackoff || DEFAULT_BACKOFF,
-            retryOnHttpResponse: ((typeof retryOptions.retryOnHttpResponse === 'function') && retryOptions.retryOnHttpResponse) ||
-                ((response) => { return response.status >= 500; }),
-            retryOnHttpError: ((typeof retryOptions.retryOnHttpError === 'function') && retryOptions.retryOnHttpError) ||
-                ((error) => { return shouldRetryOnHttpError(error); }),
-            socketTimeout: socketTimeoutValue
+            retryStrategy: retryOptions.retryStrategy || 'exponential',
+            retryMaxDelay: retryOptions.retryMaxDelay,
+            // conditions given as functions or declaratively are combined, the defaults apply without any
+            retryOnHttpResponse: anyCondition([
+                retryOptions.retryOnHttpResponse,
+                createStatusCondition(retryOptions.retryOnStatus),
+                createHeadersCondition(retryOptions.retryOnHeaders)
+            ]) || ((response) => { return replaySafe && response.status >= 500; }),
+            retryOnHttpError: anyCondition([retryOptions.retryOnHttpError, createErrorCodesCondition(retryOptions.retryOnErrorCodes)]) ||
+                ((error) => {
+                    return (replaySafe || isRequestNotSent(error)) && shouldRetryOnHttpError(error, logger, retryOptions.errorClassification);
+                }),
+            socketTimeout: socketTimeoutValue,
+            connectTimeout: retryOptions.connectTimeout,
+            responseTimeout: retryOptions.responseTimeout || socketTimeoutValue,
+            bodyTimeout: retryOptions.bodyTimeout || socketTimeoutValue,
+            responseType: retryOptions.responseType,
+            inspectResponseBody: !!retryOptions.inspectResponseBody,
+            validateBody: retryOptions.validateBody,
+            // hedges replay the request, so they are only sent when it is safe
+            hedgeDelay: replaySafe ? retryOptions.hedgeDelay : undefined,
+            maxHedges: retryOptions.maxHedges || 1,
+            metrics: createMetricsSink(retryOptions.metrics),
+            tracer: retryOptions.tracer,
+            traceContext: retryOptions.traceContext,
+            respectRetryAfter: retryOptions.respectRetryAfter !== false,
+            retryAfterMaxDelay: retryOptions.retryAfterMaxDelay,
+            maxBodyBufferSize: (typeof retryOptions.maxBodyBufferSize === 'number') ?
+                retryOptions.maxBodyBufferSize : DEFAULT_MAX_BODY_BUFFER_SIZE,
+            maxDrainSize: (typeof retryOptions.maxDrainSize === 'number') ? retryOptions.maxDrainSize : DEFAULT_MAX_DRAIN_SIZE,
+            captureDiscardedBody: retryOptions.captureDiscardedBody || 0,
+            logger: logger,
+            onAttempt: retryOptions.onAttempt,
+            onRetry: retryOptions.onRetry,
+            onSuccess: retryOptions.onSuccess,
+            onGiveUp: retryOptions.onGiveUp,
+            circuitBreaker: retryOptions.circuitBreaker,
+            retryBudget: retryOptions.retryBudget,
+            idempotencyKey: retryOptions.idempotencyKey
         };
     }
     return false;
 }
 
+/**
+ * Random integer between min (included) and max (excluded)
+ */
+function randomBetween(min, max) {
+    return min + Math.floor(Math.random() * (max - min));
+}
+
+/**
+ * Built-in backoff strategies, computing the delay after a failed attempt.
+ * The non-jittered strategies add up to 99ms of random noise.
+ * @type {Object<String, Function>} functions taking `(attempt, lastDelay, context)`
+ */
+const BACKOFF_STRATEGIES = {
+    constant: (attempt, lastDelay, { retryInitialDelay }) => retryInitialDelay + randomBetween(0, 100),
+    linear: (attempt, lastDelay, { retryInitialDelay }) => retryInitialDelay * attempt + randomBetween(0, 100),
+    exponential: (attempt, lastDelay, { retryInitialDelay, retryBackoff }) =>
+        retryInitialDelay * retryBackoff ** (attempt - 1) + randomBetween(0, 100),
+    // https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+    'full-jitter': (attempt, lastDelay, { retryInitialDelay, retryBackoff }) =>
+        randomBetween(0, retryInitialDelay * retryBackoff ** (attempt - 1) + 1),
+    'equal-jitter': (attempt, lastDelay, { retryInitialDelay, retryBackoff }) => {
+        const half = retryInitialDelay * retryBackoff ** (attempt - 1) / 2;
+        return half + randomBetween(0, half + 1);
+    },
+    'decorrelated-jitter': (attempt, lastDelay, { retryInitialDelay }) =>
+        randomBetween(retryInitialDelay, Math.max(retryInitialDelay, lastDelay) * 3 + 1)
+};
+
 /**
  * Calculate the retry delay
  *
  * @param {RetryOptions|Boolean} retryOptions Retry options
- * @param {Boolean} [random=true] Add randomness
+ * @param {Number} [attempt=1] number of the attempt that failed, starting at 1
+ * @param {Number} [lastDelay] previous delay, defaults to `retryInitialDelay`
+ * @returns {Number} time in milliseconds to wait before the next attempt
+ */
+function getRetryDelay(retryOptions, attempt = 1, lastDelay = retryOptions.retryInitialDelay) {
+    if (!retryOptions) {
+        return 0;
+    }
+    const strategy = (typeof retryOptions.retryStrategy === 'function') ?
+        retryOptions.retryStrategy : BACKOFF_STRATEGIES[retryOptions.retryStrategy];
+    const context = {
+        retryInitialDelay: retryOptions.retryInitialDelay,
+        retryBackoff: retryOptions.retryBackoff,
+        retryMaxDelay: retryOptions.retryMaxDelay
+    };
+    let delay = strategy(attempt, lastDelay, context);
+    if (!(Number.isFinite(delay) && delay >= 0)) {
+        throw new Error(`'retryStrategy' must return a non-negative number: ${delay}`);
+    }
+    delay = Math.round(delay);
+    if (retryOptions.retryMaxDelay !== undefined) {
+        delay = Math.min(delay, retryOptions.retryMaxDelay);
+    }
+    return delay;
+}
+
+/**
+ * Parse a header value expressed either as delay-seconds or as an HTTP date
+ * @param {String} value header value
+ * @returns {Number|undefined} delay in milliseconds or undefined if the value cannot be parsed
+ */
+function parseRetryAfterValue(value) {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    value = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return Math.ceil(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return undefined;
+}
+
+/**
+ * Parse a rate limit reset header, which is either delta-seconds (`RateLimit-Reset`)
+ * or an epoch timestamp in seconds (commonly used by `X-RateLimit-Reset`)
+ * @param {String} value header value
+ * @returns {Number|undefined} delay in milliseconds or undefined if the value cannot be parsed
+ */
+function parseRateLimitResetValue(value) {
+    if (value === null || value === undefined || !/^\d+(\.\d+)?$/.test(String(value).trim())) {
+        return undefined;
+    }
+    const seconds = parseFloat(value);
+    // values this large can only be epoch timestamps (1e9 seconds is ~31 years)
+    if (seconds > 1e9) {
+        return Math.max(0, Math.ceil(seconds * 1000 - Date.now()));
+    }
+    return Math.ceil(seconds * 1000);
+}
+
+/**
+ * Get the delay requested by the server through the `Retry-After` header, or through the
+ * `RateLimit-Reset`/`X-RateLimit-Reset` headers when the rate limit is exhausted
+ * @param {RetryOptions} retryOptions Retry options
+ * @param {Object} response fetch call response
+ * @returns {Number|undefined} delay in milliseconds or undefined if the server did not ask for one
+ */
+function getRetryAfterDelay(retryOptions, response) {
+    if (!retryOptions.respectRetryAfter || !response || !response.headers) {
+        return undefined;
+    }
+    const headers = response.headers;
+    let delay = parseRetryAfterValue(headers.get('retry-after'));
+    if (delay === undefined) {
+        // reset headers are sent on every response, only honor them when the limit was hit
+        for (const prefix of ['ratelimit', 'x-ratelimit']) {
+            if (response.status === 429 || headers.get(`${prefix}-remaining`) === '0') {
+                delay = parseRateLimitResetValue(headers.get(`${prefix}-reset`));
+                if (delay !== undefined) {
+                    break;
+                }
+            }
+        }
+    }
+    if (delay !== undefined && retryOptions.retryAfterMaxDelay !== undefined) {
+        delay = Math.min(delay, retryOptions.retryAfterMaxDelay);
+    }
+    return delay;
+}
+
+/**
+ * Wait for the given amount of time, returning early if the signal is aborted
+ * @param {Number} ms time to wait in milliseconds
+ * @param {AbortSignal} [signal] optional abort signal cancelling the wait
+ * @returns {Promise} resolved once the time elapsed or the signal is aborted
  */
-function getRetryDelay(retryOptions, random = true) {
-    return retryOptions.retryInitialDelay +
-        (random ? Math.floor(Math.random() * 100) : 99);
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            // aborted before the wait started, e.g. during the onRetry hook
+            resolve();
+            return;
+        }
+        let timer = null;
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
+
+/**
+ * Read a stream into memory up to a size limit
+ * @param {Readable} stream stream to read
+ * @param {Number} limit maximum number of bytes to buffer
+ * @param {AbortSignal} [signal] optional abort signal, stops reading and destroys the stream
+ * @param {Number} [timeout] optional time in milliseconds to read the stream, after which it is destroyed
+ * @returns {Promise<Object>} `{buffer}` if the whole stream fit in the limit, otherwise `{stream}`
+ * with a stream replaying the bytes already read followed by the rest of the original stream.
+ * Rejects with a FetchError of type `request-aborted` or `request-timeout` when stopped by the signal or the timeout
+ */
+function bufferStream(stream, limit, signal, timeout) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let onData = null;
+        let onEnd = null;
+        let onError = null;
+        let onAbort = null;
+        let timer = null;
+        const cleanup = () => {
+            stream.removeListener('data', onData);
+            stream.removeListener('end', onEnd);
+            stream.removeListener('error', onError);
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        const stop = (error) => {
+            cleanup();
+            stream.destroy();
+            reject(error);
+        };
+        onData = (chunk) => {
+            chunk = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size > limit) {
+                stream.pause();
+                cleanup();
+                // replay what was read so far followed by the rest of the stream
+                const rest = new PassThrough();
+                rest.write(Buffer.concat(chunks, size));
+                stream.on('error', error => rest.destroy(error));
+                stream.pipe(rest);
+                resolve({ stream: rest });
+            }
+        };
+        onEnd = () => {
+            cleanup();
+            resolve({ buffer: Buffer.concat(chunks, size) });
+        };
+        onError = (error) => {
+            cleanup();
+            reject(error);
+        };
+        if (signal && signal.aborted) {
+            stop(new FetchError('request body was not read: the request was aborted', 'request-aborted'));
+            return;
+        }
+        if (signal) {
+            onAbort = () => stop(new FetchError('request body was not read: the request was aborted', 'request-aborted'));
+            signal.addEventListener('abort', onAbort);
+        }
+        if (timeout !== undefined && timeout !== Infinity) {
+            timer = setTimeout(() => stop(new FetchError(`request body was not read within ${timeout}ms`, 'request-timeout')), timeout);
+        }
+        stream.on('data', onData);
+        stream.on('end', onEnd);
+        stream.on('error', onError);
+    });
+}
+
+/**
+ * Prepare the request body so that it can be sent once per attempt
+ * @param {*} body request body or a function returning the request body
+ * @param {RetryOptions|Boolean} retryOptions Retry options
+ * @param {AbortSignal} [signal] optional abort signal of the request, stops buffering a stream body
+ * @returns {Promise<Object>} `{replayable, next}` where `next()` returns the body to send for the next attempt
+ */
+async function createBodySource(body, retryOptions, signal) {
+    if (typeof body === 'function') {
+        // body factory, called once per attempt
+        return { replayable: true, next: body };
+    }
+    // streams can only be read once, form-data streams are left untouched as they carry their own headers
+    if (body && typeof body.pipe === 'function' && retryOptions && typeof body.getBoundary !== 'function') {
+        // buffering is part of the request: it stops when the request is aborted or runs out of time
+        const result = await bufferStream(body, retryOptions.maxBodyBufferSize, signal, getTimeRemaining(retryOptions));
+        if (result.buffer) {
+            return { replayable: true, next: () => result.buffer };
+        }
+        body = result.stream;
+    }
+    return {
+        replayable: !(body && typeof body.pipe === 'function'),
+        next: () => body
+    };
+}
+
+/**
+ * Error returned when a retry is needed but the request body was already consumed
+ * @param {String} url request url
+ * @param {Object} last outcome of the last attempt
+ * @param {Response} [last.response] response that would have been retried
+ * @param {Error} [last.error] error that would have been retried
+ * @returns {FetchError} error of type `body-not-replayable`, with the `status` and `cause` of the last attempt
+ */
+function createBodyNotReplayableError(url, { response, error }) {
+    const reason = response ? `status ${response.status}` : error.message;
+    const rejection = new FetchError(`cannot retry request to ${url} (${reason}): the request body is a stream that cannot be replayed`, 'body-not-replayable');
+    rejection.status = response && response.status;
+    rejection.cause = error;
+    return rejection;
+}
+
+const RESPONSE_TYPES = ['json', 'text', 'buffer'];
+
+/**
+ * Read the body of a response
+ * @param {Response} response response
+ * @param {String} responseType `json`, `text` or `buffer`
+ * @returns {Promise<*>} parsed body
+ */
+async function readResponseBody(response, responseType) {
+    if (responseType === 'json') {
+        return response.json();
+    } else if (responseType === 'text') {
+        return response.text();
+    }
+    return (typeof response.buffer === 'function') ? response.buffer() : Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Read the body of a response within `bodyTimeout`, whatever the fetch implementation
+ * @param {Response} response response
+ * @param {String} responseType `json`, `text` or `buffer`
+ * @param {Number} bodyTimeout time in milliseconds to read the body, if any
+ * @param {String} url request url
+ * @returns {Promise<*>} parsed body, rejects with a FetchError of type `body-timeout` if it is not read in time
+ */
+function readResponseBodyWithin(response, responseType, bodyTimeout, url) {
+    if (!bodyTimeout) {
+        return readResponseBody(response, responseType);
+    }
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            // release the connection of the stalled body
+            const body = response.body;
+            if (body && typeof body.destroy === 'function') {
+                body.destroy();
+            } else if (body && typeof body.cancel === 'function') {
+                body.cancel().catch(() => {});
+            }
+            reject(new FetchError(`body timeout at ${url}`, 'body-timeout'));
+        }, bodyTimeout);
+    });
+    return Promise.race([readResponseBody(response, responseType), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Read the body of a response in memory up to a size limit, whatever the fetch implementation
+ * @param {Response} response response
+ * @param {Number} limit maximum number of bytes to buffer
+ * @returns {Promise<Object>} `buffer` with the whole body, or `stream` replaying the body if it is larger than `limit`
+ */
+function bufferResponseBody(response, limit) {
+    let body = response.body;
+    if (body && typeof body.getReader === 'function') {
+        // WHATWG stream of the native fetch
+        body = Readable.fromWeb(body);
+    }
+    if (!body) {
+        return Promise.resolve({ buffer: Buffer.alloc(0) });
+    }
+    return bufferStream(body, limit);
+}
+
+/**
+ * Copy of a response whose body was read, that can be read again
+ * @param {Response} response response whose body was read
+ * @param {Buffer|Readable} body body of the response, in memory or replayed by a stream
+ * @returns {Response} unread response with the same body, status, headers and url
+ */
+function createBufferedResponse(response, body) {
+    // the body was already decoded, and a stream has no known length
+    const headers = new response.headers.constructor(response.headers);
+    headers.delete('content-encoding');
+    headers.delete('content-length');
+    // responses such as 204 must not have a body
+    const copy = new response.constructor((Buffer.isBuffer(body) && body.length === 0) ? null : body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+    // not accepted by the constructor of the native Response
+    return Object.defineProperties(copy, {
+        url: { value: response.url },
+        redirected: { value: response.redirected }
+    });
+}
+
+/**
+ * Check a response body with the `validateBody` retry option
+ * @param {RetryOptions} retryOptions retry options including validateBody
+ * @param {*} data parsed body
+ * @param {Response} response response
+ * @returns {Promise} rejects with a FetchError of type `invalid-body` if the body is not valid
+ */
+async function validateBody(retryOptions, data, response) {
+    let valid = false;
+    try {
+        valid = await retryOptions.validateBody(data, response);
+    } catch (e) {
+        throw new FetchError(`invalid response body from ${response.url}: ${e.message}`, 'invalid-body');
+    }
+    if (!valid) {
+        throw new FetchError(`invalid response body from ${response.url}`, 'invalid-body');
+    }
+}
+
+/**
+ * Response resolved when `responseType` is set
+ * @param {Response} response response whose body was read
+ * @param {*} data parsed body
+ * @returns {Object} parsed body as `data`, along with the response status, headers and url
+ */
+function createParsedResponse(response, data) {
+    return {
+        data,
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok,
+        headers: response.headers,
+        url: response.url,
+        redirected: response.redirected
+    };
+}
+
+// agents standing for `agent: false`, created once rather than for each attempt
+const agentsWithoutKeepAlive = new Map();
+
+/**
+ * Agent that does not keep connections alive, as Node.js uses with `agent: false`
+ * @param {Object} protocol `http` or `https` module
+ * @returns {Object} agent of the protocol, shared by all requests
+ */
+function getAgentWithoutKeepAlive(protocol) {
+    if (!agentsWithoutKeepAlive.has(protocol)) {
+        agentsWithoutKeepAlive.set(protocol, new protocol.Agent({ keepAlive: false }));
+    }
+    return agentsWithoutKeepAlive.get(protocol);
+}
+
+/**
+ * Wrap the `agent` fetch option to be notified of the socket of each request, which node-fetch does not expose
+ * @param {Object|Function|Boolean} agent `agent` fetch option, an http agent or a function returning one
+ * @param {Function} onSocket called with the socket assigned to the request
+ * @returns {Function} `agent` fetch option
+ */
+function watchSocket(agent, onSocket) {
+    return (parsedUrl) => {
+        let base = (typeof agent === 'function') ? agent(parsedUrl) : agent;
+        if (!base) {
+            const protocol = (parsedUrl.protocol === 'https:') ? https : http;
+            base = (base === false) ? getAgentWithoutKeepAlive(protocol) : protocol.globalAgent;
+        }
+        return new Proxy(base, {
+            get: (target, name) => {
+                if (name === 'addRequest') {
+                    return (request, requestOptions) => {
+                        request.once('socket', onSocket);
+                        return target.addRequest(request, requestOptions);
+                    };
+                }
+                return target[name];
+            }
+        });
+    };
+}
+
+/**
+ * Send an attempt, and hedge it: if no response arrived within `hedgeDelay`, send the same request again,
+ * up to `maxHedges` times. The first response wins and the other requests are aborted.
+ * Errors are only returned once no request is in flight anymore.
+ * @param {Function} send sends a request with the given fetch options
+ * @param {String} url request url
+ * @param {Object} options fetch options, `signal` aborts all requests
+ * @param {RetryOptions} retryOptions retry options including hedgeDelay, maxHedges and logger
+ * @param {Object} bodySource replayable source of the request body
+ * @param {Object} record record of the attempt, its `hedges` property counts the hedges sent
+ * @returns {Promise<Response>} the first response
+ */
+function hedgedFetch(send, url, options, retryOptions, bodySource, record) {
+    const signal = options.signal;
+    const controllers = [];
+    let timer;
+    let pending = 0;
+    let settled = false;
+    const abortAll = () => controllers.forEach(controller => controller.abort());
+    signal.addEventListener('abort', abortAll);
+
+    return new Promise((resolve, reject) => {
+        const settle = (callback) => {
+            settled = true;
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abortAll);
+            callback();
+        };
+        const hedge = async () => {
+            const controller = new AbortController();
+            const hedges = controllers.length;
+            controllers.push(controller);
+            record.hedges = hedges;
+            ++pending;
+            // the request runs until retryMaxDuration anyway, no need to hedge past it
+            if (hedges < retryOptions.maxHedges && getTimeRemaining(retryOptions) > retryOptions.hedgeDelay) {
+                timer = setTimeout(hedge, retryOptions.hedgeDelay);
+            }
+            try {
+                if (hedges > 0) {
+                    retryOptions.logger.debug(`Hedging ${options.method || 'GET'} ${url} after ${retryOptions.hedgeDelay} milliseconds, hedge ${hedges}`,
+                        { url, method: options.method || 'GET', hedge: hedges });
+                }
+                const body = (hedges > 0) ? await bodySource.next() : options.body;
+                const response = await send(Object.assign({}, options, { body, signal: controller.signal }));
+                if (!settled) {
+                    settle(() => {
+                        controllers.filter(other => other !== controller).forEach(other => other.abort());
+                        // the winner is aborted with the attempt, e.g. when reading its body times out
+                        signal.addEventListener('abort', () => controller.abort());
+                        resolve(response);
+                    });
+                }
+            } catch (e) {
+                if (!settled && --pending === 0) {
+                    settle(() => reject(e));
+                }
+            }
+        };
+        hedge();
+    });
+}
+
+// time allowed to drain a discarded response when the retry delay is shorter
+const DRAIN_TIMEOUT = 1000;
+
+/**
+ * Dispose of a response that is retried, so that its connection is released: small bodies are read to the end
+ * so that keep-alive connections can be reused, larger ones are destroyed.
+ * @param {Response} response response that is retried or dropped
+ * @param {RetryOptions} retryOptions retry options including maxDrainSize and captureDiscardedBody
+ * @param {Function} destroy closes the connection when the body is not read to the end
+ * @param {Number} timeout maximum time in milliseconds spent reading the body
+ * @param {AbortSignal} [signal] optional abort signal of the request, stops reading the body
+ * @returns {Promise<String>} the first `captureDiscardedBody` bytes of the body, or undefined if not captured
+ */
+function discardResponse(response, retryOptions, destroy, timeout, signal) {
+    let body = response.body;
+    if (body && typeof body.getReader === 'function' && typeof Readable.fromWeb === 'function') {
+        // WHATWG stream of the native fetch
+        body = Readable.fromWeb(body);
+    }
+    if (!body || typeof body.on !== 'function') {
+        return Promise.resolve(undefined);
+    }
+    const captureSize = retryOptions.captureDiscardedBody;
+    const contentLength = parseInt(response.headers && response.headers.get('content-length'));
+    const chunks = [];
+    let captured = 0;
+    let drained = 0;
+    return new Promise(resolve => {
+        let done = false;
+        let timer = null;
+        let onAbort = null;
+        const finish = (complete) => {
+            if (!done) {
+                done = true;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (!complete) {
+                    destroy();
+                    body.destroy();
+                }
+                resolve(captureSize ? Buffer.concat(chunks).toString('utf8') : undefined);
+            }
+        };
+        if ((!captureSize && contentLength > retryOptions.maxDrainSize) || (signal && signal.aborted)) {
+            // too large to drain, or the request is aborted: no need to wait for the first chunk
+            finish(false);
+            return;
+        }
+        timer = setTimeout(() => finish(false), timeout);
+        if (signal) {
+            onAbort = () => finish(false);
+            signal.addEventListener('abort', onAbort);
+        }
+        body.on('data', chunk => {
+            if (captured < captureSize) {
+                const part = chunk.slice(0, captureSize - captured);
+                chunks.push(part);
+                captured += part.length;
+            }
+            drained += chunk.length;
+            if (drained > retryOptions.maxDrainSize) {
+                finish(false);
+            }
+        });
+        body.on('end', () => finish(true));
+        body.on('error', () => finish(false));
+    });
 }
 
 /**
@@ -127,6 +870,10 @@ function checkParameters(retryOptions) {
     if (retryOptions.retryMaxDuration && !(Number.isInteger(retryOptions.retryMaxDuration) && retryOptions.retryMaxDuration >= 0)) {
         throw new Error('`retryMaxDuration` must not be a negative integer');
     }
+    if (typeof retryOptions.retryMaxAttempts !== 'undefined'
+        && !(Number.isInteger(retryOptions.retryMaxAttempts) && retryOptions.retryMaxAttempts >= 1)) {
+        throw new Error('`retryMaxAttempts` must be a positive integer >= 1');
+    }
     if (retryOptions.retryInitialDelay && !(Number.isInteger(retryOptions.retryInitialDelay) && retryOptions.retryInitialDelay >= 0)) {
         throw new Error('`retryInitialDelay` must not be a negative integer');
     }
@@ -137,42 +884,293 @@ function checkParameters(retryOptions) {
         throw new Error(`'retryOnHttpError' must be a function: ${retryOptions.retryOnHttpError}`);
     }
     if (typeof retryOptions.retryBackoff !== 'undefined'
-        && !(Number.isInteger(retryOptions.retryBackoff) && retryOptions.retryBackoff >= 1.0)) {
-        throw new Error('`retryBackoff` must be a positive integer >= 1');
+        && !(Number.isFinite(retryOptions.retryBackoff) && retryOptions.retryBackoff >= 1.0)) {
+        throw new Error('`retryBackoff` must be a number >= 1');
+    }
+    if (typeof retryOptions.retryStrategy !== 'undefined' && typeof retryOptions.retryStrategy !== 'function'
+        && !Object.prototype.hasOwnProperty.call(BACKOFF_STRATEGIES, retryOptions.retryStrategy)) {
+        throw new Error(`'retryStrategy' must be a function or one of ${Object.keys(BACKOFF_STRATEGIES).join(', ')}: ${retryOptions.retryStrategy}`);
+    }
+    if (typeof retryOptions.retryMaxDelay !== 'undefined'
+        && !(Number.isInteger(retryOptions.retryMaxDelay) && retryOptions.retryMaxDelay >= 0)) {
+        throw new Error('`retryMaxDelay` must not be a negative integer');
     }
     if (retryOptions.socketTimeout && !(Number.isInteger(retryOptions.socketTimeout) && retryOptions.socketTimeout >= 0)) {
         throw new Error('`socketTimeout` must not be a negative integer');
     }
+    for (const name of ['connectTimeout', 'responseTimeout', 'bodyTimeout', 'hedgeDelay']) {
+        if (typeof retryOptions[name] !== 'undefined' && !(Number.isInteger(retryOptions[name]) && retryOptions[name] >= 0)) {
+            throw new Error(`\`${name}\` must not be a negative integer`);
+        }
+    }
+    if (typeof retryOptions.maxHedges !== 'undefined'
+        && !(Number.isInteger(retryOptions.maxHedges) && retryOptions.maxHedges >= 1)) {
+        throw new Error('`maxHedges` must be a positive integer >= 1');
+    }
+    if (typeof retryOptions.responseType !== 'undefined' && !RESPONSE_TYPES.includes(retryOptions.responseType)) {
+        throw new Error(`'responseType' must be one of ${RESPONSE_TYPES.join(', ')}: ${retryOptions.responseType}`);
+    }
+    if (typeof retryOptions.respectRetryAfter !== 'undefined' && typeof retryOptions.respectRetryAfter !== 'boolean') {
+        throw new Error(`'respectRetryAfter' must be a boolean: ${retryOptions.respectRetryAfter}`);
+    }
+    if (typeof retryOptions.retryAfterMaxDelay !== 'undefined'
+        && !(Number.isInteger(retryOptions.retryAfterMaxDelay) && retryOptions.retryAfterMaxDelay >= 0)) {
+        throw new Error('`retryAfterMaxDelay` must not be a negative integer');
+    }
+    if (typeof retryOptions.maxBodyBufferSize !== 'undefined'
+        && !(Number.isInteger(retryOptions.maxBodyBufferSize) && retryOptions.maxBodyBufferSize >= 0)) {
+        throw new Error('`maxBodyBufferSize` must not be a negative integer');
+    }
+    for (const name of ['maxDrainSize', 'captureDiscardedBody']) {
+        if (typeof retryOptions[name] !== 'undefined' && !(Number.isInteger(retryOptions[name]) && retryOptions[name] >= 0)) {
+            throw new Error(`\`${name}\` must not be a negative integer`);
+        }
+    }
+    if (typeof retryOptions.inspectResponseBody !== 'undefined' && typeof retryOptions.inspectResponseBody !== 'boolean') {
+        throw new Error(`'inspectResponseBody' must be a boolean: ${retryOptions.inspectResponseBody}`);
+    }
+    if (typeof retryOptions.retryNonIdempotent !== 'undefined' && typeof retryOptions.retryNonIdempotent !== 'boolean') {
+        throw new Error(`'retryNonIdempotent' must be a boolean: ${retryOptions.retryNonIdempotent}`);
+    }
+    if (typeof retryOptions.idempotencyKey !== 'undefined'
+        && !(typeof retryOptions.idempotencyKey === 'boolean' || (typeof retryOptions.idempotencyKey === 'string' && retryOptions.idempotencyKey))) {
+        throw new Error(`'idempotencyKey' must be a boolean or a non-empty string: ${retryOptions.idempotencyKey}`);
+    }
+    if (retryOptions.circuitBreaker && !(retryOptions.circuitBreaker instanceof CircuitBreaker)) {
+        throw new Error(`'circuitBreaker' must be a CircuitBreaker: ${retryOptions.circuitBreaker}`);
+    }
+    if (retryOptions.retryBudget && !(retryOptions.retryBudget instanceof RetryBudget)) {
+        throw new Error(`'retryBudget' must be a RetryBudget: ${retryOptions.retryBudget}`);
+    }
+    if (typeof retryOptions.metrics !== 'undefined' && (retryOptions.metrics === null || typeof retryOptions.metrics !== 'object')) {
+        throw new Error(`'metrics' must be an object: ${retryOptions.metrics}`);
+    }
+    if (typeof retryOptions.retryOnStatus !== 'undefined' && !isStatusList(retryOptions.retryOnStatus)) {
+        throw new Error(`'retryOnStatus' must be a list of status codes or ranges such as "500-599": ${retryOptions.retryOnStatus}`);
+    }
+    if (typeof retryOptions.retryOnErrorCodes !== 'undefined' && !isErrorCodeList(retryOptions.retryOnErrorCodes)) {
+        throw new Error(`'retryOnErrorCodes' must be a list of error codes: ${retryOptions.retryOnErrorCodes}`);
+    }
+    if (typeof retryOptions.retryOnHeaders !== 'undefined' && !isHeaderConditions(retryOptions.retryOnHeaders)) {
+        throw new Error(`'retryOnHeaders' must map header names to a value or a list of values: ${retryOptions.retryOnHeaders}`);
+    }
+    if (typeof retryOptions.errorClassification !== 'undefined' && !isErrorClassification(retryOptions.errorClassification)) {
+        throw new Error(`'errorClassification' must map error codes to 'retryable' or 'terminal': ${retryOptions.errorClassification}`);
+    }
+    if (typeof retryOptions.tracer !== 'undefined' && !(retryOptions.tracer && typeof retryOptions.tracer.startSpan === 'function')) {
+        throw new Error(`'tracer' must be a tracer with a startSpan function: ${retryOptions.tracer}`);
+    }
+    if (retryOptions.validateBody && !(typeof retryOptions.validateBody === 'function')) {
+        throw new Error(`'validateBody' must be a function: ${retryOptions.validateBody}`);
+    }
+    for (const hook of ['onAttempt', 'onRetry', 'onSuccess', 'onGiveUp']) {
+        if (retryOptions[hook] && !(typeof retryOptions[hook] === 'function')) {
+            throw new Error(`'${hook}' must be a function: ${retryOptions[hook]}`);
+        }
+    }
+    if (typeof retryOptions.logger !== 'undefined' && retryOptions.logger !== false
+        && (retryOptions.logger === null || typeof retryOptions.logger !== 'object')) {
+        throw new Error(`'logger' must be an object or false: ${retryOptions.logger}`);
+    }
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS', 'TRACE'];
+
+// error codes proving that the request never reached the server
+const REQUEST_NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// attempt failures raised by this library that are retried like network errors
+const RETRYABLE_FETCH_ERROR_TYPES = ['connect-timeout', 'body-timeout', 'invalid-json', 'invalid-body'];
+
+/**
+ * Can the request be sent several times with the same effect as sending it once?
+ * @param {String} method HTTP method, defaults to GET
+ * @returns {Boolean} true for idempotent methods
+ */
+function isIdempotent(method) {
+    return IDEMPOTENT_METHODS.includes((method || 'GET').toUpperCase());
+}
+
+/**
+ * Did the request fail before reaching the server, so that it is safe to send it again whatever the method?
+ * @param {Object} error error thrown by fetch
+ * @returns {Boolean} true if the connection was never established
+ */
+function isRequestNotSent(error) {
+    return error.name === 'FetchError' && (REQUEST_NOT_SENT_CODES.includes(error.code) || error.type === 'connect-timeout');
+}
+
+// type of the RetryError rejected when the last attempt failed with an error, by limit stopping the retries
+const RETRY_ERROR_TYPES = {
+    retryMaxDuration: 'request-timeout',
+    retryMaxAttempts: 'max-attempts-reached',
+    retryBudget: 'retry-budget-exhausted'
+};
+
+// final outcome of a request reported in metrics, by reason for giving up
+const GIVE_UP_OUTCOMES = {
+    'not-retryable': 'gave-up-non-retryable',
+    retryMaxDuration: 'gave-up-timeout',
+    retryMaxAttempts: 'gave-up-max-attempts',
+    retryBudget: 'gave-up-budget',
+    'body-not-replayable': 'gave-up-body-not-replayable',
+    'circuit-open': 'gave-up-circuit-open',
+    aborted: 'aborted'
+};
+
+/**
+ * Status label of an attempt in metrics
+ * @param {Object} record attempt record with its status or error
+ * @param {Boolean} aborted true if the caller aborted the request
+ * @returns {String} status code, error code, or `timeout` for socket timeouts
+ */
+function getAttemptStatus(record, aborted) {
+    if (!record.error) {
+        return String(record.status);
+    } else if (aborted) {
+        return 'aborted';
+    } else if (record.error.name === 'AbortError') {
+        return 'timeout';
+    }
+    return record.error.code || record.error.type || record.error.name;
+}
+
+/**
+ * Generate a random idempotency key (UUID v4)
+ * @returns {String} idempotency key
+ */
+function generateIdempotencyKey() {
+    const bytes = crypto.randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
 /**
  * Evaluates whether or not to retry based on HTTP error
  * @param {Object} error 
- * @returns Returns true for all FetchError's of type `system`
+ * @param {Logger} [logger] logger receiving the reason for retrying
+ * @param {Object<String, String>} [errorClassification] classifications of error codes overriding `ERROR_CLASSIFICATION`
+ * @returns Returns true for FetchError's of type `system`, unless their code is classified as terminal
  */
-function shouldRetryOnHttpError(error) {
+function shouldRetryOnHttpError(error, logger = globalLogger, errorClassification) {
     // special handling for known fetch errors: https://github.com/node-fetch/node-fetch/blob/main/docs/ERROR-HANDLING.md
-    // retry on all errors originating from Node.js core
-    // retry on AbortError caused by network timeouts
-    if (error.name === 'FetchError' && error.type === 'system') {
-        console.error(`FetchError failed with code: ${error.code}; message: ${error.message}`);
+    // retry on errors originating from Node.js core, except the ones that will fail again such as certificate errors
+    // retry on AbortError caused by network timeouts, but never when the caller aborted
+    if (error.name === 'FetchError' && error.type === 'system' && classifyErrorCode(error.code, errorClassification) === 'terminal') {
+        return false;
+    } else if (error.name === 'FetchError' && error.type === 'system') {
+        logger.warn(`FetchError failed with code: ${error.code}; message: ${error.message}`, { error: error.name, code: error.code, type: error.type });
         return true;
-    } else if (error.name === 'AbortError') {
-        console.error(`AbortError failed with type: ${error.type}; message: ${error.message}`);
+    } else if (error.name === 'FetchError' && RETRYABLE_FETCH_ERROR_TYPES.includes(error.type)) {
+        logger.warn(`FetchError failed with type: ${error.type}; message: ${error.message}`, { error: error.name, type: error.type });
+        return true;
+    } else if (error.name === 'AbortError' && error.type !== 'request-aborted') {
+        logger.warn(`AbortError failed with type: ${error.type}; message: ${error.message}`, { error: error.name, type: error.type });
         return true;
     }
     return false;
 }
 
+/**
+ * Reason of a failed attempt for the message of a RetryError, without repeating the url of the request
+ * @param {Error} error error of the attempt
+ * @param {String} url request url
+ * @returns {String} reason, such as `socket hang up` or `network timeout`
+ */
+function getErrorReason(error, url) {
+    if (error.name === 'AbortError') {
+        return 'network timeout';
+    }
+    return error.message.replace(`request to ${url} failed, reason: `, '').replace(` at ${url}`, '');
+}
+
+/**
+ * Convert the network errors of other transports to the FetchError of type `system` raised by node-fetch,
+ * so that they are classified alike: the native fetch (undici) rejects with `TypeError: fetch failed`,
+ * or `TypeError: terminated` while reading the body, with the system error as `cause`
+ * @param {Error} error error raised by the transport
+ * @param {String} url request url
+ * @returns {Error} FetchError of type `system` with the code of the cause, or the error itself
+ */
+function toFetchError(error, url) {
+    if (error instanceof TypeError && error.cause && ['fetch failed', 'terminated'].includes(error.message)) {
+        return new FetchError(`request to ${url} failed, reason: ${error.cause.message}`, 'system', error.cause);
+    }
+    return error;
+}
+
 /**
  * @typedef {Object} RetryOptions options for retry or false if want to disable retry
  * @property {Integer} retryMaxDuration time (in milliseconds) to retry until throwing an error
+ * @property {Integer} retryMaxAttempts maximum number of attempts, including the first one (defaults to no limit)
  * @property {Integer} retryInitialDelay time to wait between retries in milliseconds
  * @property {Function} retryOnHttpResponse a function determining whether to retry on a specific HTTP code
  * @property {Function} retryOnHttpError a function determining whether to retry on a specific HTTP error
- * @property {Integer} retryBackoff backoff factor for wait time between retries (defaults to 2.0)
+ * @property {Array<Number|String>} retryOnStatus Optional status codes and ranges to retry, such as `[429, "500-599"]`
+ * @property {Object<String, String|Array<String>>} retryOnHeaders Optional header values to retry, such as `{"x-cache-status": "STALE"}`
+ * @property {Array<String>} retryOnErrorCodes Optional error codes or FetchError types to retry, such as `["ECONNRESET", "body-timeout"]`.
+ * The conditions given as functions and declaratively are combined: an attempt is retried if any of them matches
+ * @property {Number} retryBackoff backoff factor for wait time between retries (defaults to 2.0)
+ * @property {String|Function} retryStrategy backoff strategy: `constant`, `linear`, `exponential`, `full-jitter`, `equal-jitter`,
+ * `decorrelated-jitter` or a function `(attempt, lastDelay, context) => delay` (defaults to `exponential`)
+ * @property {Integer} retryMaxDelay Optional maximum time in milliseconds to wait between retries
  * @property {Integer} socketTimeout Optional socket timeout in milliseconds (defaults to 60000ms)
+ * @property {Integer} connectTimeout Optional time in milliseconds to establish the connection
+ * @property {Integer} responseTimeout Optional time in milliseconds until the response headers are received (defaults to `socketTimeout`)
+ * @property {Integer} bodyTimeout Optional time in milliseconds to read the response body (defaults to `socketTimeout`)
+ * @property {Integer} hedgeDelay Optional time in milliseconds after which a copy of a pending request is sent, the first response wins.
+ * Only applies to requests that are safe to replay
+ * @property {Integer} maxHedges Maximum number of copies sent for each attempt with `hedgeDelay` (defaults to 1)
+ * @property {String} responseType Optional `json`, `text` or `buffer`: read the response body within the attempt,
+ * and resolve with the body as `data` along with the response status and headers
+ * @property {Function} validateBody Optional function `(data, response) => Boolean` checking the body read with `responseType`.
+ * Can be asynchronous. Successful responses are retried if it returns false or throws, or if their body cannot be parsed
+ * @property {Boolean} inspectResponseBody If true, the response body is read before calling `retryOnHttpResponse`,
+ * which receives a copy of the response whose body it can read, while the response returned is unread (defaults to false).
+ * Bodies larger than `maxBodyBufferSize` are not buffered: `retryOnHttpResponse` then receives the response itself
  * @property {Boolean} forceSocketTimeout If true, socket timeout will be forced to use `socketTimeout` property declared (defaults to false)
+ * @property {Boolean} respectRetryAfter If true, wait as long as the server asks through `Retry-After` or rate limit headers (defaults to true)
+ * @property {Integer} retryAfterMaxDelay Optional maximum time in milliseconds to wait when the server asks for a delay
+ * @property {Integer} maxBodyBufferSize maximum size in bytes of a stream body buffered in memory to be replayed on retries,
+ * or of a response body buffered with `inspectResponseBody` (defaults to 1MB)
+ * @property {Logger|Boolean} logger logger for this request, or `false` to disable logging (defaults to the logger set with `setLogger()`)
+ * @property {Function} onAttempt hook called before each attempt
+ * @property {Function} onRetry hook called after each failed attempt that will be retried, before waiting. Can update `options`
+ * @property {Function} onSuccess hook called with the final response when it is not retried
+ * @property {Function} onGiveUp hook called when no more attempts will be made for a retryable failure, or on a non-retryable error
+ * @property {Integer} maxDrainSize Maximum size in bytes of a retried response body that is read to the end,
+ * so that its connection can be reused. Larger bodies are destroyed (defaults to 64KB)
+ * @property {Integer} captureDiscardedBody Number of bytes of retried response bodies captured for logging (defaults to 0)
+ * @property {Object} errorClassification Optional classifications of network error codes, `retryable` or `terminal`,
+ * extending or overriding `ERROR_CLASSIFICATION` for the default retryOnHttpError
+ * @property {MetricsSink} metrics Optional metrics sink with `increment(name, labels, value)` and `observe(name, labels, value)` methods
+ * @property {Object} tracer Optional OpenTelemetry tracer creating a span for the request and a child span per attempt
+ * @property {Object} traceContext Optional OpenTelemetry context of the request span, defaults to the active context
+ * @property {CircuitBreaker} circuitBreaker Optional circuit breaker shared across requests
+ * @property {RetryBudget} retryBudget Optional retry budget shared across requests, limiting retries to a share of the traffic
+ * @property {Boolean} retryNonIdempotent If true, the default retry policy retries POST and PATCH requests like idempotent ones (defaults to false)
+ * @property {Boolean|String} idempotencyKey `Idempotency-Key` header sent with every attempt, or true to generate one.
+ * Requests with an idempotency key are retried like idempotent ones
+ */
+/**
+ * @typedef {Object} HookContext information passed to the lifecycle hooks, which can be async
+ * @property {String} url request url
+ * @property {Object} options options passed to `node-fetch` for the next attempt, can be modified by `onAttempt` and `onRetry`
+ * @property {Number} attempt attempt number, starting at 1
+ * @property {Object} response response of the attempt, if any
+ * @property {Object} error error thrown by the attempt, if any
+ * @property {Number} waitTime time in milliseconds before the next attempt (`onRetry` only)
+ * @property {String} reason why no more attempts are made (`onGiveUp` only): `not-retryable`, `retryMaxDuration`,
+ * `retryMaxAttempts`, `retryBudget`, `body-not-replayable`, `circuit-open` or `aborted`
+ */
+/**
+ * @typedef {Object} Logger receives log messages along with structured fields (url, method, attempt, waitTime, status, code...)
+ * @property {Function} debug debug level messages
+ * @property {Function} info informational messages
+ * @property {Function} warn failed attempts that will be retried
+ * @property {Function} error errors
  */
 /**
  * @typedef {Function} retryOnHttpResponse determines whether to do a retry on the response
@@ -187,63 +1185,563 @@ function shouldRetryOnHttpError(error) {
 /**
  * @typedef {Object} Options options for fetch-retry
  * @property {Object} RetryOptions options for retry or false if want to disable retry
+ * @property {Function} fetch Optional fetch implementation making the requests, such as the native fetch (defaults to node-fetch v2)
  * ... other options for fetch call (method, headers, etc...)
  */
+/**
+ * Is the fetch input a `Request`, from node-fetch or the native fetch?
+ * @param {*} input fetch input
+ * @returns {Boolean} true for requests
+ */
+function isRequest(input) {
+    return !!input && typeof input === 'object' && typeof input.url === 'string'
+        && typeof input.method === 'string' && typeof input.clone === 'function';
+}
+
+/**
+ * Url of a fetch input
+ * @param {String|URL|Request} input url string, `URL` instance or `Request`
+ * @returns {String} request url
+ */
+function getInputUrl(input) {
+    if (isRequest(input)) {
+        return input.url;
+    } else if (input && typeof input === 'object' && typeof input.href === 'string') {
+        return input.href;
+    }
+    return input;
+}
+
+/**
+ * Options of an attempt as expected by the transport: the native fetch requires `duplex: 'half'` to send stream bodies
+ * @param {Function} transport fetch implementation making the requests
+ * @param {Object} init options of the attempt
+ * @returns {Object} options for the transport
+ */
+function getTransportInit(transport, init) {
+    const body = init.body;
+    if (transport !== fetch && body && (typeof body.pipe === 'function' || typeof body.getReader === 'function')) {
+        return Object.assign({}, init, { duplex: 'half' });
+    }
+    return init;
+}
+
 /**
  * Fetch retry that wraps around `node-fetch` library
- * @param {String} url request url
- * @param {Options} options options for fetch request (e.g. headers, RetryOptions for retries or `false` if no do not want to perform retries)
+ * @param {String|URL|Request} input request url, or a `Request` carrying the method, headers, body and signal
+ * @param {Options} options options for fetch request (e.g. headers, RetryOptions for retries or `false` if no do not want to perform retries),
+ * taking precedence over the ones of a `Request`
  * @returns {Object} json response of calling fetch 
  */
-module.exports = async function (url, options) {
-    options = options || {};
-    const retryOptions = retryInit(options); // set up retry options or set to default settings if not set
+async function fetchRetry(input, options) {
+    // work on a copy, so that the caller can reuse its options
+    options = Object.assign({}, options);
+    if (options.headers) {
+        options.headers = copyHeaders(options.headers);
+    }
+    const url = getInputUrl(input);
+    const request = isRequest(input) ? input : null;
+    const transport = options.fetch || fetch; // underlying fetch implementation, node-fetch by default
+    delete options.fetch;
+    if (typeof transport !== 'function') {
+        throw new Error(`'fetch' must be a function: ${transport}`);
+    }
+    // node-fetch does not recognize requests of other implementations, such as the native fetch:
+    // their method, headers and body are sent with their url instead
+    const sendRequest = !!request && (transport !== fetch || request instanceof fetch.Request);
+    if (request) {
+        options.method = options.method || request.method;
+        options.headers = mergeOptions({ headers: request.headers }, { headers: options.headers }).headers;
+        if (typeof options.body === 'undefined' && request.body && typeof request.body.pipe === 'function') {
+            // cloning a node-fetch request tees its stream body, which stalls once the unread branch is full:
+            // send the body like a stream given in the options instead
+            options.body = request.body;
+        } else if (typeof options.body === 'undefined' && request.body && !sendRequest) {
+            options.body = Readable.fromWeb(request.body);
+        }
+    }
+    // a request is cloned for each attempt, unless its body is replaced by the one of the options
+    const cloneRequest = sendRequest && typeof options.body === 'undefined';
+    const retryOptions = retryInit(options, url); // set up retry options or set to default settings if not set
     delete options.retryOptions; // remove retry options from options passed to actual fetch
+    const signal = options.signal || (request ? request.signal : undefined); // caller's signal, aborting it cancels all attempts
+    const send = (init) => transport(cloneRequest ? request.clone() : (sendRequest ? request : url), getTransportInit(transport, init));
+    const agent = options.agent;
+    const method = (options.method || 'GET').toUpperCase();
+    if (retryOptions && retryOptions.connectTimeout && transport !== fetch) {
+        // sockets are watched through the `agent` option, which the native fetch ignores
+        retryOptions.logger.warn(`connectTimeout is ignored unless the fetch implementation takes the node-fetch agent option: ${method} ${url}`,
+            { url, method });
+    }
+    const startTime = Date.now();
+    const history = []; // one record per attempt
     let attempt = 0;
+    let lastDelay; // previous backoff delay, without Retry-After, used by the decorrelated jitter strategy
+    const circuitBreaker = retryOptions && retryOptions.circuitBreaker;
+    const metrics = retryOptions ? retryOptions.metrics : createMetricsSink();
+    const labels = { origin: getOrigin(url), method };
+    // parent span of the request, with one child span per attempt
+    const trace = startTrace(retryOptions && retryOptions.tracer, url, method, retryOptions && retryOptions.traceContext);
+    if (retryOptions && retryOptions.idempotencyKey) {
+        // same key for every attempt, so that the server can recognize replays
+        const key = (retryOptions.idempotencyKey === true) ? generateIdempotencyKey() : retryOptions.idempotencyKey;
+        options.headers = setDefaultHeader(options.headers, 'Idempotency-Key', key);
+    }
 
     return new Promise(function (resolve, reject) {
-        const wrappedFetch = async () => {
+        // read the body of a response that was not read within the attempt, such as a 404 or the last retried
+        // response, before the outcome is reported. The caller needs its status: a body that cannot be parsed
+        // resolves with undefined `data`
+        const prepare = async (response, parsed) => {
+            // response.timeout should reflect the actual timeout, node-fetch applies it to reading the body
+            response.timeout = retryOptions.bodyTimeout;
+            if (!retryOptions.responseType || parsed) {
+                return parsed;
+            }
+            try {
+                return { data: await readResponseBodyWithin(response, retryOptions.responseType, retryOptions.bodyTimeout, url) };
+            } catch (e) {
+                // node-fetch throws a FetchError of type `invalid-json`, the native fetch a SyntaxError
+                if (e.type !== 'invalid-json' && e.name !== 'SyntaxError') {
+                    throw e;
+                }
+                return { data: undefined };
+            }
+        };
+        // resolve with the response, or with its parsed body if `responseType` is set
+        const settle = (response, parsed) => {
+            resolve(parsed ? createParsedResponse(response, parsed.data) : response);
+        };
+        const reportOutcome = (outcome) => {
+            const outcomeLabels = Object.assign({ outcome }, labels);
+            metrics.increment(METRICS.requests, outcomeLabels);
+            metrics.observe(METRICS.attemptsPerRequest, outcomeLabels, attempt);
+            metrics.observe(METRICS.requestDuration, outcomeLabels, (Date.now() - startTime) / 1000);
+        };
+        const succeed = async (response, parsed) => {
+            parsed = await prepare(response, parsed);
+            reportOutcome('success');
+            trace.end({ attempts: attempt, status: response.status });
+            await callHook(retryOptions, 'onSuccess', { url, options, attempt, response });
+            settle(response, parsed);
+        };
+        // settle with the last response, or with `rejection` if given
+        const giveUp = async (reason, last, rejection) => {
+            const parsed = rejection ? null : await prepare(last.response);
+            reportOutcome(GIVE_UP_OUTCOMES[reason]);
+            trace.end({ attempts: attempt, reason, status: last.response && last.response.status, error: rejection || last.error });
+            await callHook(retryOptions, 'onGiveUp', Object.assign({ url, options, attempt, reason }, last));
+            if (rejection) {
+                reject(rejection);
+            } else {
+                settle(last.response, parsed);
+            }
+        };
+
+        // error naming why the retries stopped, e.g. `(retryMaxAttempts reached)`, and how the last attempt failed,
+        // or `error` if no attempt was made
+        const retryError = (stop, type, error) => {
+            const last = history[history.length - 1] || { error };
+            let message = `request to ${url} failed after ${attempt} ${(attempt === 1) ? 'attempt' : 'attempts'} (${stop})`;
+            if (last.error) {
+                message += `, reason: ${getErrorReason(last.error, url)}`;
+            } else if (last.status) {
+                message += `, reason: status ${last.status}`;
+            }
+            return new RetryError(message, type, attempt, Date.now() - startTime, history);
+        };
+
+        let circuitSlot = false; // trial slot taken from the circuit breaker until the outcome of the attempt is recorded
+        const fetchAttempts = async () => {
+            let bodySource;
+            try {
+                bodySource = await createBodySource(options.body, retryOptions, signal);
+            } catch (e) {
+                if (e.type === 'request-aborted') {
+                    return giveUp('aborted', { error: e }, new RequestAbortedError(url));
+                } else if (e.type === 'request-timeout') {
+                    return giveUp('retryMaxDuration', { error: e }, retryError('retryMaxDuration reached', RETRY_ERROR_TYPES.retryMaxDuration, e));
+                }
+                throw e;
+            }
+            if (retryOptions && retryOptions.retryBudget) {
+                retryOptions.retryBudget.recordRequest();
+            }
             while (!isResponseTimedOut(retryOptions)) {
+                if (signal && signal.aborted) {
+                    return giveUp('aborted', {}, new RequestAbortedError(url));
+                }
+                if (attempt > 0 && retryOptions && retryOptions.retryBudget && !retryOptions.retryBudget.tryRetry()) {
+                    // other requests used up the budget while this one was waiting
+                    return giveUp('retryBudget', {}, retryError('retryBudget reached', RETRY_ERROR_TYPES.retryBudget));
+                }
+                if (circuitBreaker && !circuitBreaker.allowRequest(url)) {
+                    return giveUp('circuit-open', {}, new CircuitOpenError(url, circuitBreaker.getKey(url)));
+                }
+                circuitSlot = !!circuitBreaker;
                 ++attempt;
-                const waitTime = getRetryDelay(retryOptions);
+                const backoffDelay = getRetryDelay(retryOptions, attempt, lastDelay);
+                let waitTime = backoffDelay;
+
+                await callHook(retryOptions, 'onAttempt', { url, options, attempt });
+                if (retryOptions) {
+                    retryOptions.logger.debug(`Attempt ${attempt}: ${method} ${url}`, { url, method, attempt });
+                }
+                // options of this attempt only, onRetry can update the ones of the request
+                const attemptOptions = Object.assign({}, options);
+                const traceHeaders = trace.startAttempt(attempt);
+                if (Object.keys(traceHeaders).length > 0) {
+                    // each attempt carries its own span id
+                    attemptOptions.headers = setHeaders(options.headers, traceHeaders);
+                }
 
                 let timeoutHandler;
-                if (retryOptions.socketTimeout) {
-                    const controller = new AbortController();
-                    timeoutHandler = setTimeout(() => controller.abort(), retryOptions.socketTimeout);
-                    options.signal = controller.signal;
-                }                
-    
-                try {
-                    const response = await fetch(url, options);
+                const connectTimers = []; // one per socket, hedged attempts open several
+                let bodyTimer;
+                let onAbort;
+                let timedOut = null; // phase that timed out: `connect`, `response` or `body`
+                let controller = null;
+                const timeout = (phase) => {
+                    timedOut = phase;
+                    controller.abort();
+                };
+                if (retryOptions || signal) {
+                    controller = new AbortController();
+                    if (retryOptions.responseTimeout) {
+                        timeoutHandler = setTimeout(() => timeout('response'), retryOptions.responseTimeout);
+                    }
+                    if (retryOptions.connectTimeout) {
+                        attemptOptions.agent = watchSocket(agent, (socket) => {
+                            // reused keep-alive sockets are already connected
+                            if (socket.connecting) {
+                                const connectTimer = setTimeout(() => timeout('connect'), retryOptions.connectTimeout);
+                                connectTimers.push(connectTimer);
+                                socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+                            }
+                        });
+                    }
+                    if (signal) {
+                        onAbort = () => controller.abort();
+                        signal.addEventListener('abort', onAbort);
+                    }
+                    attemptOptions.signal = controller.signal;
+                }
 
-                    if (await shouldRetry(retryOptions, null, response, waitTime)) {
-                        console.error(`Retrying in ${waitTime} milliseconds, attempt ${attempt} failed (status ${response.status}): ${response.statusText}`);
+                let response = null;
+                let error = null;
+                let retryable = false;
+                let parsed = null;
+                const record = { attempt, startTime: Date.now() };
+                history.push(record);
+                try {
+                    attemptOptions.body = await bodySource.next();
+                    if (retryOptions && retryOptions.hedgeDelay !== undefined && bodySource.replayable) {
+                        response = await hedgedFetch(send, url, attemptOptions, retryOptions, bodySource, record);
                     } else {
-                        // response.timeout should reflect the actual timeout
-                        response.timeout = retryOptions.socketTimeout;
-                        return resolve(response);
-                    }
-                } catch (error) {
-                    if (!(await shouldRetry(retryOptions, error, null, waitTime))) {
-                        if (error.name === 'AbortError') {
-                            return reject(new FetchError(`network timeout at ${url}`, 'request-timeout'));
+                        response = await send(attemptOptions);
+                    }
+                    clearTimeout(timeoutHandler);
+                    connectTimers.forEach(clearTimeout);
+                    const retryAfterDelay = getRetryAfterDelay(retryOptions, response);
+                    if (retryAfterDelay !== undefined) {
+                        waitTime = retryAfterDelay;
+                    }
+                    if (retryOptions.inspectResponseBody) {
+                        // buffer the body, so that retryOnHttpResponse can read a copy and the caller gets an unread response
+                        if (retryOptions.bodyTimeout) {
+                            bodyTimer = setTimeout(() => timeout('body'), retryOptions.bodyTimeout);
+                        }
+                        const { buffer, stream } = await bufferResponseBody(response, retryOptions.maxBodyBufferSize);
+                        clearTimeout(bodyTimer);
+                        if (buffer) {
+                            response = createBufferedResponse(response, buffer);
+                            retryable = await isRetryable(retryOptions, null, createBufferedResponse(response, buffer));
                         } else {
-                            return reject(error);
+                            // too large to be kept in memory: the predicate reads the response itself
+                            response = createBufferedResponse(response, stream);
+                            retryable = await isRetryable(retryOptions, null, response);
+                        }
+                    } else {
+                        retryable = await isRetryable(retryOptions, null, response);
+                    }
+                    if (!retryable && retryOptions.responseType && response.ok) {
+                        // read the body within the attempt, so that a stalled, malformed or invalid body can be retried
+                        if (retryOptions.bodyTimeout) {
+                            bodyTimer = setTimeout(() => timeout('body'), retryOptions.bodyTimeout);
                         }
+                        parsed = { data: await readResponseBody(response, retryOptions.responseType) };
+                        clearTimeout(bodyTimer);
+                        if (retryOptions.validateBody) {
+                            await validateBody(retryOptions, parsed.data, response);
+                        }
+                    }
+                } catch (e) {
+                    error = toFetchError(e, url);
+                    if (timedOut === 'connect') {
+                        error = new FetchError(`connect timeout at ${url}`, 'connect-timeout');
+                    } else if (timedOut === 'body') {
+                        error = new FetchError(`body timeout at ${url}`, 'body-timeout');
                     }
-                    console.error(`Retrying in ${waitTime} milliseconds, attempt ${attempt} error: ${error.name}, ${error.message}`);
+                    response = null;
+                    retryable = !(signal && signal.aborted) && await isRetryable(retryOptions, error, null);
                 } finally {
                     clearTimeout(timeoutHandler);
+                    connectTimers.forEach(clearTimeout);
+                    clearTimeout(bodyTimer);
+                    if (onAbort) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                }
+                record.duration = Date.now() - record.startTime;
+                if (error) {
+                    record.error = error;
+                } else {
+                    record.status = response.status;
                 }
+                const aborted = !!(error && signal && signal.aborted);
+                const attemptLabels = Object.assign({ status: getAttemptStatus(record, aborted) }, labels);
+                metrics.increment(METRICS.attempts, attemptLabels);
+                metrics.observe(METRICS.attemptDuration, attemptLabels, record.duration / 1000);
+                trace.attemptDone(record.status, record.error);
+                if (circuitBreaker) {
+                    // same classification as retries: retryable failures count against the circuit
+                    if (retryable) {
+                        circuitBreaker.recordFailure(url);
+                    } else if (response) {
+                        circuitBreaker.recordSuccess(url);
+                    } else {
+                        circuitBreaker.release(url);
+                    }
+                    circuitSlot = false;
+                }
+                const limit = retryable ? getRetryLimitReached(retryOptions, attempt, waitTime, bodySource.replayable) : null;
+                let discardedBody;
+                let discardTime = 0;
+
+                if (error) {
+                    if (aborted) {
+                        return giveUp('aborted', { error }, new RequestAbortedError(url));
+                    }
+                    if (limit === 'retryMaxDuration' || limit === 'retryMaxAttempts') {
+                        // name the limit that stopped the retries, whatever the error
+                        return giveUp(limit, { error }, retryError(`${limit} reached`, RETRY_ERROR_TYPES[limit]));
+                    }
+                    if (limit === 'retryBudget') {
+                        // the original error, unless it is the timeout of the attempt
+                        return giveUp(limit, { error }, (error.name === 'AbortError') ?
+                            retryError(`${limit} reached`, RETRY_ERROR_TYPES[limit]) : error);
+                    }
+                    if (!retryable) {
+                        return giveUp('not-retryable', { error }, (error.name === 'AbortError') ?
+                            retryError('not retryable', 'request-timeout') : error);
+                    }
+                    if (!bodySource.replayable) {
+                        return giveUp('body-not-replayable', { error }, createBodyNotReplayableError(url, { error }));
+                    }
+                    retryOptions.logger.warn(`Retrying in ${waitTime} milliseconds, attempt ${attempt} error: ${error.name}, ${error.message}`,
+                        { url, method, attempt, waitTime, error: error.name, code: error.code });
+                } else {
+                    if (!retryable) {
+                        return succeed(response, parsed);
+                    }
+                    if (limit) {
+                        return giveUp(limit, { response });
+                    }
+                    // release the connection of the response that is retried or dropped, within the time we wait anyway
+                    const discardStart = Date.now();
+                    discardedBody = await discardResponse(response, retryOptions, () => controller && controller.abort(),
+                        Math.max(waitTime, DRAIN_TIMEOUT), signal);
+                    discardTime = Date.now() - discardStart;
+                    if (!bodySource.replayable) {
+                        return giveUp('body-not-replayable', { response }, createBodyNotReplayableError(url, { response }));
+                    }
+                    record.discardedBody = discardedBody;
+                    retryOptions.logger.warn(`Retrying in ${waitTime} milliseconds, attempt ${attempt} failed (status ${response.status}): ${response.statusText}`,
+                        { url, method, attempt, waitTime, status: response.status, discardedBody });
+                }
+
+                record.waitTime = waitTime;
+                trace.endAttempt(waitTime);
+
+                // onRetry can update the request, e.g. refresh an expired token in options.headers
+                await callHook(retryOptions, 'onRetry', { url, options, attempt, response, error, waitTime, discardedBody });
+
                 // Fetch loop is about to repeat, delay as needed first.
-                if (waitTime > 0) {
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                const sleepStart = Date.now();
+                if (waitTime - discardTime > 0) {
+                    await sleep(waitTime - discardTime, signal);
+                }
+                metrics.observe(METRICS.backoff, labels, (discardTime + Date.now() - sleepStart) / 1000);
+                lastDelay = backoffDelay;
+            }
+            if (signal && signal.aborted) {
+                return giveUp('aborted', {}, new RequestAbortedError(url));
+            }
+            return giveUp('retryMaxDuration', {}, retryError('retryMaxDuration reached', RETRY_ERROR_TYPES.retryMaxDuration));
+        };
+        const wrappedFetch = async () => {
+            try {
+                return await fetchAttempts();
+            } finally {
+                if (circuitSlot) {
+                    // a hook, strategy or predicate threw: give back the slot, or the circuit would stay half-open
+                    circuitBreaker.release(url);
                 }
-                retryOptions.retryInitialDelay *= retryOptions.retryBackoff; // update retry interval
             }
-            reject(new FetchError(`network timeout at ${url}`, 'request-timeout'));
         };
-        wrappedFetch();
+        wrappedFetch().catch(e => {
+            trace.end({ attempts: attempt, error: e });
+            reject(e);
+        });
     });
-};
+}
+
+/**
+ * Convert headers given as an object, a `Headers` instance or an array of pairs to a list of pairs
+ * @param {Object|Headers|Array} headers headers
+ * @returns {Array} list of `[name, value]` pairs
+ */
+function getHeaderEntries(headers) {
+    if (!headers) {
+        return [];
+    } else if (Array.isArray(headers)) {
+        return headers;
+    } else if (typeof headers.forEach === 'function') {
+        const entries = [];
+        headers.forEach((value, name) => entries.push([name, value]));
+        return entries;
+    }
+    return Object.keys(headers).map(name => [name, headers[name]]);
+}
+
+/**
+ * Headers given as an object, a `Headers` instance or an array of pairs, as a plain object.
+ * Values of a header repeated in an array of pairs are combined like `Headers.append()` does.
+ * @param {Object|Headers|Array} headers headers
+ * @returns {Object} header values by name
+ */
+function getHeaderObject(headers) {
+    const result = {};
+    for (const [name, value] of getHeaderEntries(headers)) {
+        const existing = Object.keys(result).find(key => key.toLowerCase() === name.toLowerCase());
+        if (existing === undefined) {
+            result[name] = value;
+        } else {
+            result[existing] = `${result[existing]}, ${value}`;
+        }
+    }
+    return result;
+}
+
+/**
+ * Copy headers given as an object, a `Headers` instance or an array of pairs
+ * @param {Object|Headers|Array} headers headers
+ * @returns {Object|Headers|Array} headers of the same kind, that can be changed without affecting the original
+ */
+function copyHeaders(headers) {
+    if (Array.isArray(headers)) {
+        return headers.map(pair => pair.slice());
+    } else if (typeof headers.forEach === 'function') {
+        return new headers.constructor(headers);
+    }
+    return Object.assign({}, headers);
+}
+
+/**
+ * Add a header unless it is already set
+ * @param {Object|Headers|Array} headers request headers
+ * @param {String} name header name
+ * @param {String} value header value
+ * @returns {Object} headers as a plain object
+ */
+function setDefaultHeader(headers, name, value) {
+    const result = getHeaderObject(headers);
+    if (!Object.keys(result).some(key => key.toLowerCase() === name.toLowerCase())) {
+        result[name] = value;
+    }
+    return result;
+}
+
+/**
+ * Set headers, replacing existing ones regardless of their case
+ * @param {Object|Headers|Array} headers request headers
+ * @param {Object} values header values by name
+ * @returns {Object} headers as a plain object
+ */
+function setHeaders(headers, values) {
+    const names = Object.keys(values).map(name => name.toLowerCase());
+    const result = getHeaderObject(headers);
+    for (const key of Object.keys(result)) {
+        if (names.includes(key.toLowerCase())) {
+            delete result[key];
+        }
+    }
+    return Object.assign(result, values);
+}
+
+/**
+ * Copy the properties of the sources that are not `undefined` to the target
+ * @param {Object} target object to copy to
+ * @param  {...Object} sources objects to copy from, later ones take precedence
+ * @returns {Object} the target object
+ */
+function assignDefined(target, ...sources) {
+    for (const source of sources) {
+        for (const key of Object.keys(source || {})) {
+            if (source[key] !== undefined) {
+                target[key] = source[key];
+            }
+        }
+    }
+    return target;
+}
+
+/**
+ * Merge request options over default options, without modifying either.
+ * Headers and retry options are merged, other options are replaced. A header of the request options
+ * replaces the default one, while values repeated within the same options are all kept.
+ * @param {Options} defaults default options
+ * @param {Options} options request options taking precedence
+ * @returns {Options} merged options
+ */
+function mergeOptions(defaults, options) {
+    defaults = defaults || {};
+    options = options || {};
+    const merged = assignDefined({}, defaults, options);
+    if (defaults.headers || options.headers) {
+        // header names are case insensitive: request headers replace default ones
+        merged.headers = setHeaders(defaults.headers, getHeaderObject(options.headers));
+    }
+    if (merged.retryOptions) {
+        merged.retryOptions = assignDefined({}, defaults.retryOptions, options.retryOptions);
+    }
+    return merged;
+}
+
+/**
+ * Create a fetch function using default options
+ * @param {Options} [defaults] default options (e.g. headers, RetryOptions), merged with the options of each request
+ * @returns {Function} fetch function with the same signature as this module, and an `extend()` method
+ * to create a new fetch function with additional defaults
+ */
+function createFetch(defaults = {}) {
+    const configuredFetch = (url, options) => fetchRetry(url, mergeOptions(defaults, options));
+    configuredFetch.extend = (moreDefaults) => createFetch(mergeOptions(defaults, moreDefaults));
+    return configuredFetch;
+}
+
+module.exports = fetchRetry;
+module.exports.createFetch = createFetch;
+module.exports.extend = createFetch;
+module.exports.RequestAbortedError = RequestAbortedError;
+module.exports.RetryError = RetryError;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.RetryBudget = RetryBudget;
+module.exports.PolicyRegistry = PolicyRegistry;
+module.exports.MetricsCollector = MetricsCollector;
+module.exports.PrometheusMetrics = PrometheusMetrics;
+module.exports.METRICS = METRICS;
+module.exports.ERROR_CLASSIFICATION = ERROR_CLASSIFICATION;
+module.exports.policies = policies;
+module.exports.setLogger = setLogger;
@@ -0,0 +1,245 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const {FetchError} = require('node-fetch');
+const {getOrigin} = require('./url');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+/**
+ * Error thrown without sending the request while the circuit is open
+ */
+class CircuitOpenError extends FetchError {
+    constructor(url, key) {
+        super(`circuit open for ${key}, request to ${url} was not sent`, 'circuit-open');
+        this.name = 'CircuitOpenError';
+        this.key = key;
+    }
+}
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {Integer} failureThreshold number of failures within `windowDuration` opening the circuit
+ * (defaults to 5 if `failureRateThreshold` is not set)
+ * @property {Number} failureRateThreshold ratio of failures (0 to 1) within `windowDuration` opening the circuit
+ * @property {Integer} minimumRequests minimum number of requests within `windowDuration` before `failureRateThreshold` applies (defaults to 10)
+ * @property {Integer} windowDuration time window in milliseconds over which failures are counted (defaults to 60000ms)
+ * @property {Integer} cooldown time in milliseconds the circuit stays open before allowing trial requests (defaults to 30000ms)
+ * @property {Integer} halfOpenMaxRequests number of concurrent trial requests allowed while half-open (defaults to 1)
+ * @property {Function} key function returning the circuit key for a request url (defaults to the url origin)
+ */
+
+/**
+ * Circuit breaker shared across requests, with one circuit per key (by default per origin).
+ *
+ * A circuit opens when too many retryable failures happen within a time window. Outcomes are recorded
+ * per attempt, retries included, since each one reaches the service. While open, requests fail fast with
+ * a `CircuitOpenError`. After the cooldown, the circuit is half-open and lets trial requests through:
+ * a success closes it, a failure opens it again. Closed circuits without outcomes within the window are
+ * evicted, so that the number of circuits stays bounded by the keys in use.
+ *
+ * Emits `stateChange` with `{key, from, to}`, as well as `open`, `half-open` and `closed` with `{key}`.
+ */
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {CircuitBreakerOptions} [options] circuit breaker options
+     */
+    constructor(options = {}) {
+        super();
+        checkParameters(options);
+        this.failureRateThreshold = options.failureRateThreshold;
+        this.failureThreshold = options.failureThreshold ||
+            ((typeof options.failureRateThreshold === 'number') ? undefined : 5);
+        this.minimumRequests = options.minimumRequests || 10;
+        this.windowDuration = options.windowDuration || 60000;
+        this.cooldown = options.cooldown || 30000;
+        this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+        this.getKey = options.key || getOrigin;
+        this.circuits = new Map();
+        this.lastEviction = Date.now();
+    }
+
+    /**
+     * Get the circuit for a request url, creating it if needed
+     * @param {String} url request url
+     * @returns {Object} circuit
+     */
+    getCircuit(url) {
+        const key = this.getKey(url);
+        let circuit = this.circuits.get(key);
+        if (!circuit) {
+            this.evictIdleCircuits();
+            circuit = { key, state: CLOSED, outcomes: [], openedAt: 0, trials: 0 };
+            this.circuits.set(key, circuit);
+        }
+        return circuit;
+    }
+
+    /**
+     * Forget closed circuits without outcomes within the window, at most once per window:
+     * they are in the same state as new circuits
+     */
+    evictIdleCircuits() {
+        const now = Date.now();
+        if (now - this.lastEviction < this.windowDuration) {
+            return;
+        }
+        this.lastEviction = now;
+        for (const [key, circuit] of this.circuits) {
+            if (circuit.state === CLOSED && circuit.outcomes.every(outcome => outcome.time <= now - this.windowDuration)) {
+                this.circuits.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Current state of the circuit for a request url
+     * @param {String} url request url
+     * @returns {String} `closed`, `open` or `half-open`
+     */
+    getState(url) {
+        const circuit = this.getCircuit(url);
+        this.updateState(circuit);
+        return circuit.state;
+    }
+
+    /**
+     * Check whether a request can be sent. While half-open, this takes one of the trial slots,
+     * which must be given back with `recordSuccess()`, `recordFailure()` or `release()`.
+     * @param {String} url request url
+     * @returns {Boolean} true if the request can be sent, false if the circuit is open
+     */
+    allowRequest(url) {
+        const circuit = this.getCircuit(url);
+        this.updateState(circuit);
+        if (circuit.state === OPEN) {
+            return false;
+        } else if (circuit.state === HALF_OPEN) {
+            if (circuit.trials >= this.halfOpenMaxRequests) {
+                return false;
+            }
+            circuit.trials++;
+        }
+        return true;
+    }
+
+    /**
+     * Record a successful request
+     * @param {String} url request url
+     */
+    recordSuccess(url) {
+        const circuit = this.getCircuit(url);
+        if (circuit.state === HALF_OPEN) {
+            circuit.trials = 0;
+            circuit.outcomes = [];
+            this.setState(circuit, CLOSED);
+        } else {
+            this.addOutcome(circuit, false);
+        }
+    }
+
+    /**
+     * Record a retryable failure
+     * @param {String} url request url
+     */
+    recordFailure(url) {
+        const circuit = this.getCircuit(url);
+        if (circuit.state === HALF_OPEN) {
+            circuit.trials = 0;
+            this.open(circuit);
+        } else if (circuit.state === CLOSED) {
+            this.addOutcome(circuit, true);
+            if (this.isFailing(circuit)) {
+                this.open(circuit);
+            }
+        }
+    }
+
+    /**
+     * Give back a trial slot taken by `allowRequest()` without recording an outcome
+     * @param {String} url request url
+     */
+    release(url) {
+        const circuit = this.getCircuit(url);
+        if (circuit.state === HALF_OPEN && circuit.trials > 0) {
+            circuit.trials--;
+        }
+    }
+
+    addOutcome(circuit, failed) {
+        const now = Date.now();
+        circuit.outcomes.push({ time: now, failed });
+        while (circuit.outcomes.length > 0 && circuit.outcomes[0].time <= now - this.windowDuration) {
+            circuit.outcomes.shift();
+        }
+    }
+
+    isFailing(circuit) {
+        const total = circuit.outcomes.length;
+        const failures = circuit.outcomes.filter(outcome => outcome.failed).length;
+        if (this.failureThreshold && failures >= this.failureThreshold) {
+            return true;
+        }
+        return (typeof this.failureRateThreshold === 'number') && total >= this.minimumRequests
+            && (failures / total) >= this.failureRateThreshold;
+    }
+
+    open(circuit) {
+        circuit.openedAt = Date.now();
+        circuit.outcomes = [];
+        this.setState(circuit, OPEN);
+    }
+
+    updateState(circuit) {
+        if (circuit.state === OPEN && Date.now() - circuit.openedAt >= this.cooldown) {
+            circuit.trials = 0;
+            this.setState(circuit, HALF_OPEN);
+        }
+    }
+
+    setState(circuit, state) {
+        const from = circuit.state;
+        if (from !== state) {
+            circuit.state = state;
+            this.emit('stateChange', { key: circuit.key, from, to: state });
+            this.emit(state, { key: circuit.key });
+        }
+    }
+}
+
+/**
+ * Check circuit breaker options
+ * @param {CircuitBreakerOptions} options
+ */
+function checkParameters(options) {
+    for (const name of ['failureThreshold', 'minimumRequests', 'windowDuration', 'cooldown', 'halfOpenMaxRequests']) {
+        if (typeof options[name] !== 'undefined' && !(Number.isInteger(options[name]) && options[name] >= 1)) {
+            throw new Error(`\`${name}\` must be a positive integer >= 1`);
+        }
+    }
+    if (typeof options.failureRateThreshold !== 'undefined'
+        && !(typeof options.failureRateThreshold === 'number' && options.failureRateThreshold > 0 && options.failureRateThreshold <= 1)) {
+        throw new Error('`failureRateThreshold` must be a number between 0 and 1');
+    }
+    if (options.key && !(typeof options.key === 'function')) {
+        throw new Error(`'key' must be a function: ${options.key}`);
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError
+};
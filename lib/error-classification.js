@@ -0,0 +1,77 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+const RETRYABLE = 'retryable';
+const TERMINAL = 'terminal';
+
+const RETRYABLE_CODES = [
+    // connection reset, refused or timed out
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+    // DNS resolution and routing
+    'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EHOSTDOWN', 'ENETUNREACH', 'ENETDOWN', 'ENETRESET',
+    // undici, the native fetch
+    'UND_ERR_SOCKET', 'UND_ERR_CLOSED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+];
+
+const TERMINAL_CODES = [
+    // certificates that will not become valid by trying again
+    'CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID', 'CERT_REVOKED', 'CERT_UNTRUSTED', 'CERT_REJECTED',
+    'CERT_SIGNATURE_FAILURE', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_GET_ISSUER_CERT', 'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'ERR_TLS_CERT_ALTNAME_INVALID', 'HOSTNAME_MISMATCH',
+    // TLS protocol errors
+    'EPROTO', 'ERR_SSL_WRONG_VERSION_NUMBER', 'ERR_TLS_INVALID_PROTOCOL_VERSION',
+    // permissions
+    'EACCES', 'EPERM',
+    // invalid requests
+    'ERR_INVALID_URL', 'ERR_INVALID_PROTOCOL', 'ERR_UNESCAPED_CHARACTERS', 'ERR_INVALID_HTTP_TOKEN', 'ERR_INVALID_CHAR'
+];
+
+/**
+ * Classification of the codes of network errors: `retryable` errors may succeed on another attempt,
+ * `terminal` ones will fail again. Errors with other codes are retried.
+ * @type {Object<String, String>}
+ */
+const ERROR_CLASSIFICATION = Object.freeze(Object.assign({},
+    ...RETRYABLE_CODES.map(code => ({ [code]: RETRYABLE })),
+    ...TERMINAL_CODES.map(code => ({ [code]: TERMINAL }))
+));
+
+/**
+ * Classify the code of a network error
+ * @param {String} code error code, such as `ECONNRESET`
+ * @param {Object<String, String>} [overrides] classifications taking precedence over `ERROR_CLASSIFICATION`
+ * @returns {String} `retryable` or `terminal`, or undefined for unknown codes
+ */
+function classifyErrorCode(code, overrides) {
+    if (overrides && Object.prototype.hasOwnProperty.call(overrides, code)) {
+        return overrides[code];
+    }
+    return Object.prototype.hasOwnProperty.call(ERROR_CLASSIFICATION, code) ? ERROR_CLASSIFICATION[code] : undefined;
+}
+
+/**
+ * Is this a valid classification, to extend or override `ERROR_CLASSIFICATION`?
+ * @param {*} classification classification to check
+ * @returns {Boolean} true if it is an object mapping codes to `retryable` or `terminal`
+ */
+function isErrorClassification(classification) {
+    return !!classification && typeof classification === 'object' && !Array.isArray(classification)
+        && Object.keys(classification).every(code => [RETRYABLE, TERMINAL].includes(classification[code]));
+}
+
+module.exports = {
+    ERROR_CLASSIFICATION,
+    classifyErrorCode,
+    isErrorClassification
+};
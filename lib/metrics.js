@@ -0,0 +1,236 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * Metrics reported by fetch retry, with their Prometheus help text
+ */
+const METRICS = {
+    requests: 'fetch_retry_requests_total',
+    attempts: 'fetch_retry_attempts_total',
+    attemptsPerRequest: 'fetch_retry_attempts_per_request',
+    attemptDuration: 'fetch_retry_attempt_duration_seconds',
+    requestDuration: 'fetch_retry_request_duration_seconds',
+    backoff: 'fetch_retry_backoff_seconds'
+};
+
+const HELP = {
+    [METRICS.requests]: 'Requests by final outcome',
+    [METRICS.attempts]: 'Attempts by status code or error code',
+    [METRICS.attemptsPerRequest]: 'Number of attempts made for each request',
+    [METRICS.attemptDuration]: 'Duration of each attempt in seconds',
+    [METRICS.requestDuration]: 'Duration of each request, including all attempts and waits, in seconds',
+    [METRICS.backoff]: 'Time spent waiting between attempts in seconds'
+};
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const ATTEMPTS_BUCKETS = [1, 2, 3, 4, 5, 10, 20];
+
+const noop = () => {};
+
+/**
+ * @typedef {Object} MetricsSink
+ * @property {Function} increment `(name, labels, value)` adds `value` to a counter
+ * @property {Function} observe `(name, labels, value)` records a value in a histogram
+ */
+
+/**
+ * Build a metrics sink with all methods from a user supplied one
+ * @param {MetricsSink} [metrics] metrics sink, or nothing to ignore metrics
+ * @returns {MetricsSink} sink with `increment` and `observe` methods
+ */
+function createMetricsSink(metrics) {
+    const result = {};
+    for (const method of ['increment', 'observe']) {
+        result[method] = (metrics && typeof metrics[method] === 'function') ? metrics[method].bind(metrics) : noop;
+    }
+    return result;
+}
+
+/**
+ * Unique key for a set of labels
+ * @param {Object} labels labels
+ * @returns {String} key
+ */
+function getLabelsKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Do the labels include all the given ones?
+ * @param {Object} labels labels of a series
+ * @param {Object} filter labels to look for
+ * @returns {Boolean} true if all labels of the filter match
+ */
+function matchesLabels(labels, filter) {
+    return Object.keys(filter).every(name => String(labels[name]) === String(filter[name]));
+}
+
+/**
+ * Get or create the series of a metric for a set of labels
+ * @param {Map} metrics series by metric name
+ * @param {String} name metric name
+ * @param {Object} labels labels
+ * @param {Function} create creates a new series
+ * @returns {Object} series
+ */
+function getSeries(metrics, name, labels, create) {
+    if (!metrics.has(name)) {
+        metrics.set(name, new Map());
+    }
+    const series = metrics.get(name);
+    const key = getLabelsKey(labels);
+    if (!series.has(key)) {
+        series.set(key, Object.assign({ labels: Object.assign({}, labels) }, create()));
+    }
+    return series.get(key);
+}
+
+/**
+ * In-memory metrics sink keeping every value, meant for tests
+ */
+class MetricsCollector {
+    constructor() {
+        this.reset();
+    }
+
+    increment(name, labels = {}, value = 1) {
+        getSeries(this.counters, name, labels, () => ({ value: 0 })).value += value;
+    }
+
+    observe(name, labels = {}, value) {
+        getSeries(this.histograms, name, labels, () => ({ values: [] })).values.push(value);
+    }
+
+    /**
+     * Sum of a counter over all series matching the labels
+     * @param {String} name metric name
+     * @param {Object} [labels] labels to filter on
+     * @returns {Number} counter value
+     */
+    getCount(name, labels = {}) {
+        return Array.from((this.counters.get(name) || new Map()).values())
+            .filter(series => matchesLabels(series.labels, labels))
+            .reduce((sum, series) => sum + series.value, 0);
+    }
+
+    /**
+     * Values of a histogram over all series matching the labels
+     * @param {String} name metric name
+     * @param {Object} [labels] labels to filter on
+     * @returns {Array<Number>} observed values
+     */
+    getObservations(name, labels = {}) {
+        return Array.from((this.histograms.get(name) || new Map()).values())
+            .filter(series => matchesLabels(series.labels, labels))
+            .reduce((values, series) => values.concat(series.values), []);
+    }
+
+    reset() {
+        this.counters = new Map();
+        this.histograms = new Map();
+    }
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value label value
+ * @returns {String} escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format labels for the Prometheus text format
+ * @param {Object} labels labels
+ * @returns {String} `{name="value",...}`, or an empty string without labels
+ */
+function formatLabels(labels) {
+    const names = Object.keys(labels).sort();
+    return names.length ? `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}` : '';
+}
+
+/**
+ * Metrics sink aggregating counters and bucketed histograms, exposed in the Prometheus text format
+ */
+class PrometheusMetrics {
+    /**
+     * @param {Object} [options] options
+     * @param {Object} [options.buckets] histogram bucket upper bounds by metric name, overriding the defaults
+     */
+    constructor(options = {}) {
+        this.buckets = Object.assign({ [METRICS.attemptsPerRequest]: ATTEMPTS_BUCKETS }, options.buckets);
+        this.reset();
+    }
+
+    increment(name, labels = {}, value = 1) {
+        getSeries(this.counters, name, labels, () => ({ value: 0 })).value += value;
+    }
+
+    observe(name, labels = {}, value) {
+        const bounds = this.buckets[name] || DEFAULT_BUCKETS;
+        const series = getSeries(this.histograms, name, labels, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+            if (value <= bound) {
+                series.buckets[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Metrics in the Prometheus text exposition format
+     * @returns {String} metrics
+     */
+    metrics() {
+        const lines = [];
+        const header = (name, type) => {
+            if (HELP[name]) {
+                lines.push(`# HELP ${name} ${HELP[name]}`);
+            }
+            lines.push(`# TYPE ${name} ${type}`);
+        };
+        for (const [name, series] of this.counters) {
+            header(name, 'counter');
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+        }
+        for (const [name, series] of this.histograms) {
+            const bounds = this.buckets[name] || DEFAULT_BUCKETS;
+            header(name, 'histogram');
+            for (const { labels, buckets, sum, count } of series.values()) {
+                bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: bound }))} ${buckets[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels(Object.assign({}, labels, { le: '+Inf' }))} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+        }
+        return lines.length ? `${lines.join('\n')}\n` : '';
+    }
+
+    reset() {
+        this.counters = new Map();
+        this.histograms = new Map();
+    }
+}
+
+module.exports = {
+    METRICS,
+    createMetricsSink,
+    MetricsCollector,
+    PrometheusMetrics
+};
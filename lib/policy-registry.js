@@ -0,0 +1,126 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+const {parseUrl} = require('./url');
+
+/**
+ * Convert a glob to a regular expression source: `*` matches within a path segment, `**` matches anything
+ * @param {String} glob glob
+ * @returns {String} regular expression source
+ */
+function globToRegExp(glob) {
+    return glob.split('**')
+        .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+}
+
+/**
+ * Build the function matching request urls for a pattern
+ * @param {String|RegExp} pattern origin, url glob, path glob starting with `/`, or regular expression tested on the full url
+ * @returns {Function} function returning true if a request url matches
+ */
+function createMatcher(pattern) {
+    if (pattern instanceof RegExp) {
+        // without the global and sticky flags, test() does not depend on the previous match
+        const regExp = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+        return (url) => regExp.test(String(url));
+    } else if (pattern.startsWith('/')) {
+        const regExp = new RegExp(`^${globToRegExp(pattern)}$`);
+        return (url) => {
+            const parsed = parseUrl(url);
+            return !!parsed && regExp.test(parsed.path);
+        };
+    }
+    const parsed = parseUrl(pattern);
+    // an origin alone matches all its paths
+    const path = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]+\//i.test(pattern) ? parsed.path : '/**';
+    const regExp = new RegExp(`^${globToRegExp(parsed.origin)}${globToRegExp(path)}$`);
+    return (url) => {
+        const target = parseUrl(url);
+        return !!target && regExp.test(`${target.origin}${target.path}`);
+    };
+}
+
+/**
+ * Registry of retry options by request url.
+ *
+ * Patterns are an origin (`https://storage.example.com`), a url glob (`https://*.example.com/v1/**`),
+ * a path glob (`/health`) or a regular expression tested on the full url. In globs, `*` matches within
+ * a path segment and `**` matches anything. All policies matching a url apply, later registrations taking precedence.
+ */
+class PolicyRegistry {
+    constructor() {
+        this.policies = [];
+    }
+
+    /**
+     * Register retry options for the request urls matching a pattern
+     * @param {String|RegExp} pattern url pattern
+     * @param {Object|Boolean} retryOptions retry options, or `false` to disable retries
+     * @returns {PolicyRegistry} this registry
+     */
+    register(pattern, retryOptions) {
+        if (!(pattern instanceof RegExp || (typeof pattern === 'string' && (pattern.startsWith('/') || parseUrl(pattern))))) {
+            throw new Error(`'pattern' must be a url, a path starting with / or a RegExp: ${pattern}`);
+        }
+        if (retryOptions !== false && (retryOptions === null || typeof retryOptions !== 'object')) {
+            throw new Error(`'retryOptions' must be an object or false: ${retryOptions}`);
+        }
+        this.policies.push({ pattern, matches: createMatcher(pattern), retryOptions });
+        return this;
+    }
+
+    /**
+     * Remove the policies registered for a pattern
+     * @param {String|RegExp} pattern url pattern given to `register()`
+     */
+    unregister(pattern) {
+        this.policies = this.policies.filter(policy => String(policy.pattern) !== String(pattern));
+    }
+
+    /**
+     * Remove all policies
+     */
+    clear() {
+        this.policies = [];
+    }
+
+    /**
+     * Resolve the retry options for a request url
+     * @param {String} url request url
+     * @returns {Object|Boolean|undefined} merged retry options of the matching policies, `false` if retries are disabled,
+     * or undefined if no policy matches
+     */
+    resolve(url) {
+        let result;
+        for (const policy of this.policies) {
+            if (policy.matches(url)) {
+                if (policy.retryOptions === false) {
+                    result = false;
+                } else {
+                    result = Object.assign({}, result || {});
+                    for (const key of Object.keys(policy.retryOptions)) {
+                        if (policy.retryOptions[key] !== undefined) {
+                            result[key] = policy.retryOptions[key];
+                        }
+                    }
+                }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    PolicyRegistry
+};
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+/**
+ * @typedef {Object} RetryBudgetOptions
+ * @property {Number} ratio maximum number of retries as a ratio of requests within `windowDuration` (defaults to 0.2)
+ * @property {Number} minRetriesPerSecond retries always allowed within the last second, regardless of `ratio` (defaults to 10)
+ * @property {Integer} windowDuration time window in milliseconds over which requests and retries are counted (defaults to 10000ms)
+ */
+
+/**
+ * @typedef {Object} RetryBudgetState
+ * @property {Integer} requests number of requests within the window
+ * @property {Integer} retries number of retries within the window
+ * @property {Integer} available number of retries still allowed within the window
+ * @property {Number} ratio configured ratio
+ * @property {Number} minRetriesPerSecond configured minimum retries per second
+ * @property {Integer} windowDuration configured window duration in milliseconds
+ */
+
+/**
+ * Retry budget shared across requests, so that retries stay a bounded share of the traffic.
+ *
+ * Each request adds to the budget and each retry takes from it: a retry is allowed while there were fewer than
+ * `ratio * requests` retries within `windowDuration`, or fewer than `minRetriesPerSecond` retries within the last second.
+ */
+class RetryBudget {
+    /**
+     * @param {RetryBudgetOptions} [options] retry budget options
+     */
+    constructor(options = {}) {
+        checkParameters(options);
+        this.ratio = (typeof options.ratio === 'number') ? options.ratio : 0.2;
+        this.minRetriesPerSecond = (typeof options.minRetriesPerSecond === 'number') ? options.minRetriesPerSecond : 10;
+        this.windowDuration = options.windowDuration || 10000;
+        this.requests = [];
+        this.retries = [];
+    }
+
+    /**
+     * Record a new request, called once per request before its first attempt
+     */
+    recordRequest() {
+        this.requests.push(Date.now());
+    }
+
+    /**
+     * Is a retry available? Nothing is taken from the budget until `tryRetry()` is called as the retry is sent
+     * @returns {Boolean} true if a retry can be made, false if the budget is used up
+     */
+    canRetry() {
+        return this.getState().available > 0;
+    }
+
+    /**
+     * Take a retry from the budget if one is available
+     * @returns {Boolean} true if the retry can be made, false if the budget is used up
+     */
+    tryRetry() {
+        if (this.getState().available <= 0) {
+            return false;
+        }
+        this.retries.push(Date.now());
+        return true;
+    }
+
+    /**
+     * Current state of the budget
+     * @returns {RetryBudgetState} budget state
+     */
+    getState() {
+        this.prune();
+        const since = Date.now() - 1000;
+        const recentRetries = this.retries.filter(time => time > since).length;
+        const available = Math.max(0,
+            Math.floor(this.ratio * this.requests.length) - this.retries.length,
+            Math.floor(this.minRetriesPerSecond) - recentRetries);
+        return {
+            requests: this.requests.length,
+            retries: this.retries.length,
+            available,
+            ratio: this.ratio,
+            minRetriesPerSecond: this.minRetriesPerSecond,
+            windowDuration: this.windowDuration
+        };
+    }
+
+    prune() {
+        const since = Date.now() - this.windowDuration;
+        for (const times of [this.requests, this.retries]) {
+            while (times.length > 0 && times[0] <= since) {
+                times.shift();
+            }
+        }
+    }
+}
+
+/**
+ * Check retry budget options
+ * @param {RetryBudgetOptions} options
+ */
+function checkParameters(options) {
+    for (const name of ['ratio', 'minRetriesPerSecond']) {
+        if (typeof options[name] !== 'undefined' && !(Number.isFinite(options[name]) && options[name] >= 0)) {
+            throw new Error(`\`${name}\` must not be a negative number`);
+        }
+    }
+    if (typeof options.windowDuration !== 'undefined'
+        && !(Number.isInteger(options.windowDuration) && options.windowDuration >= 1)) {
+        throw new Error('`windowDuration` must be a positive integer >= 1');
+    }
+}
+
+module.exports = {
+    RetryBudget
+};
@@ -0,0 +1,139 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+// status code, or range of status codes such as `500-599`
+const STATUS_RANGE = /^\s*(\d{3})\s*(?:-\s*(\d{3})\s*)?$/;
+
+/**
+ * Parse an entry of `retryOnStatus`
+ * @param {Number|String} entry status code, or range of status codes such as `500-599`
+ * @returns {Array<Number>} `[min, max]` range, or null if the entry is not valid
+ */
+function parseStatusRange(entry) {
+    if (Number.isInteger(entry)) {
+        return (entry >= 100 && entry <= 599) ? [entry, entry] : null;
+    }
+    const match = (typeof entry === 'string') && entry.match(STATUS_RANGE);
+    if (!match) {
+        return null;
+    }
+    const min = parseInt(match[1]);
+    const max = parseInt(match[2] || match[1]);
+    return (min >= 100 && max <= 599 && min <= max) ? [min, max] : null;
+}
+
+/**
+ * Is this a valid `retryOnStatus`?
+ * @param {*} value value to check
+ * @returns {Boolean} true for a list of status codes and ranges
+ */
+function isStatusList(value) {
+    return Array.isArray(value) && value.every(entry => parseStatusRange(entry) !== null);
+}
+
+/**
+ * Is this a valid `retryOnErrorCodes`?
+ * @param {*} value value to check
+ * @returns {Boolean} true for a list of non-empty strings
+ */
+function isErrorCodeList(value) {
+    return Array.isArray(value) && value.every(code => typeof code === 'string' && code.length > 0);
+}
+
+/**
+ * Is this a valid `retryOnHeaders`?
+ * @param {*} value value to check
+ * @returns {Boolean} true for an object mapping header names to a string or a list of strings
+ */
+function isHeaderConditions(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && Object.keys(value).every(name => typeof value[name] === 'string'
+            || (Array.isArray(value[name]) && value[name].every(expected => typeof expected === 'string')));
+}
+
+/**
+ * Retry condition on the response status
+ * @param {Array<Number|String>} [retryOnStatus] status codes and ranges such as `[429, "500-599"]`
+ * @returns {Function} `(response) => Boolean`, or undefined without status
+ */
+function createStatusCondition(retryOnStatus) {
+    if (!retryOnStatus) {
+        return undefined;
+    }
+    const ranges = retryOnStatus.map(parseStatusRange);
+    return (response) => ranges.some(([min, max]) => response.status >= min && response.status <= max);
+}
+
+/**
+ * Retry condition on the response headers
+ * @param {Object<String, String|Array<String>>} [retryOnHeaders] header values by name, compared case-insensitively,
+ * such as `{ "x-cache-status": "STALE" }`
+ * @returns {Function} `(response) => Boolean`, true if any header has one of its values, or undefined without headers
+ */
+function createHeadersCondition(retryOnHeaders) {
+    if (!retryOnHeaders) {
+        return undefined;
+    }
+    const conditions = Object.keys(retryOnHeaders).map(name => ({
+        name,
+        values: [].concat(retryOnHeaders[name]).map(value => value.trim().toLowerCase())
+    }));
+    return (response) => conditions.some(({ name, values }) => {
+        const header = response.headers && response.headers.get(name);
+        // headers received several times are joined with commas
+        return header !== null && header !== undefined
+            && String(header).split(',').some(value => values.includes(value.trim().toLowerCase()));
+    });
+}
+
+/**
+ * Retry condition on the error
+ * @param {Array<String>} [retryOnErrorCodes] error codes such as `ECONNRESET`, or FetchError types such as `body-timeout`
+ * @returns {Function} `(error) => Boolean`, or undefined without codes
+ */
+function createErrorCodesCondition(retryOnErrorCodes) {
+    if (!retryOnErrorCodes) {
+        return undefined;
+    }
+    return (error) => retryOnErrorCodes.includes(error.code) || retryOnErrorCodes.includes(error.type);
+}
+
+/**
+ * Combine retry conditions
+ * @param {Array<Function>} conditions conditions, that can be asynchronous, undefined ones are ignored
+ * @returns {Function} condition true if any of the conditions is, or undefined if there is none
+ */
+function anyCondition(conditions) {
+    conditions = conditions.filter(condition => typeof condition === 'function');
+    if (conditions.length <= 1) {
+        return conditions[0];
+    }
+    return async (value) => {
+        for (const condition of conditions) {
+            if (await condition(value)) {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+module.exports = {
+    isStatusList,
+    isErrorCodeList,
+    isHeaderConditions,
+    createStatusCondition,
+    createHeadersCondition,
+    createErrorCodesCondition,
+    anyCondition
+};
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+const {redactCredentials} = require('./url');
+
+// context key of the active span, shared by all versions of @opentelemetry/api
+const SPAN_KEY = Symbol.for('OpenTelemetry Context Key SPAN');
+// SpanKind.CLIENT and SpanStatusCode.ERROR in @opentelemetry/api
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Minimal OpenTelemetry context, used when the caller does not give one
+ */
+class Context {
+    constructor(values) {
+        this.values = new Map(values);
+    }
+
+    getValue(key) {
+        return this.values.get(key);
+    }
+
+    setValue(key, value) {
+        const context = new Context(this.values);
+        context.values.set(key, value);
+        return context;
+    }
+
+    deleteValue(key) {
+        const context = new Context(this.values);
+        context.values.delete(key);
+        return context;
+    }
+}
+
+/**
+ * W3C trace context headers of a span
+ * @param {Object} span OpenTelemetry span
+ * @returns {Object} `traceparent` and `tracestate` headers, empty if the span is not recording a valid trace
+ */
+function getTraceHeaders(span) {
+    const spanContext = (typeof span.spanContext === 'function') && span.spanContext();
+    if (!spanContext || !/^[0-9a-f]{32}$/.test(spanContext.traceId) || /^0+$/.test(spanContext.traceId)
+        || !/^[0-9a-f]{16}$/.test(spanContext.spanId) || /^0+$/.test(spanContext.spanId)) {
+        return {};
+    }
+    const flags = `0${((spanContext.traceFlags || 0) & 0xff).toString(16)}`.slice(-2);
+    const headers = { traceparent: `00-${spanContext.traceId}-${spanContext.spanId}-${flags}` };
+    const traceState = spanContext.traceState && spanContext.traceState.serialize();
+    if (traceState) {
+        headers.tracestate = traceState;
+    }
+    return headers;
+}
+
+/**
+ * Set the outcome of a span
+ * @param {Object} span OpenTelemetry span
+ * @param {Number} [status] response status
+ * @param {Error} [error] error
+ */
+function setOutcome(span, status, error) {
+    if (error) {
+        span.setAttribute('error.type', error.code || error.type || error.name);
+        if (typeof span.recordException === 'function') {
+            span.recordException(error);
+        }
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+    } else if (status !== undefined) {
+        span.setAttribute('http.response.status_code', status);
+        if (status >= 400) {
+            span.setAttribute('error.type', String(status));
+            span.setStatus({ code: SPAN_STATUS_ERROR });
+        }
+    }
+}
+
+/**
+ * Spans of a request: one parent span for the request, and one child span per attempt
+ */
+class RequestTrace {
+    /**
+     * @param {Object} tracer OpenTelemetry tracer
+     * @param {String} url request url
+     * @param {String} method request method
+     * @param {Object} [context] OpenTelemetry context of the request, defaults to the active context
+     */
+    constructor(tracer, url, method, context) {
+        this.tracer = tracer;
+        this.name = `HTTP ${method}`;
+        this.span = tracer.startSpan(this.name, {
+            kind: SPAN_KIND_CLIENT,
+            attributes: { 'http.request.method': method, 'url.full': redactCredentials(url) }
+        }, context);
+        this.context = (context || new Context()).setValue(SPAN_KEY, this.span);
+        this.attemptSpan = null;
+        this.ended = false;
+    }
+
+    /**
+     * Start the span of an attempt
+     * @param {Number} attempt attempt number, starting at 1
+     * @returns {Object} trace context headers to send with the attempt
+     */
+    startAttempt(attempt) {
+        this.endAttempt();
+        this.attemptSpan = this.tracer.startSpan(`${this.name} attempt ${attempt}`, {
+            kind: SPAN_KIND_CLIENT,
+            attributes: { 'retry.attempt': attempt }
+        }, this.context);
+        return getTraceHeaders(this.attemptSpan);
+    }
+
+    /**
+     * Record the outcome of the current attempt
+     * @param {Number} [status] response status
+     * @param {Error} [error] error
+     */
+    attemptDone(status, error) {
+        if (this.attemptSpan) {
+            setOutcome(this.attemptSpan, status, error);
+        }
+    }
+
+    /**
+     * End the span of the current attempt
+     * @param {Number} [waitTime] planned delay before the next attempt, if it is retried
+     */
+    endAttempt(waitTime) {
+        if (this.attemptSpan) {
+            if (waitTime !== undefined) {
+                this.attemptSpan.setAttribute('retry.backoff_ms', waitTime);
+            }
+            this.attemptSpan.end();
+            this.attemptSpan = null;
+        }
+    }
+
+    /**
+     * End the span of the request
+     * @param {Object} outcome outcome of the request
+     * @param {Number} outcome.attempts number of attempts made
+     * @param {String} [outcome.reason] why no more attempts were made, if the request gave up
+     * @param {Number} [outcome.status] status of the final response
+     * @param {Error} [outcome.error] error of the request
+     */
+    end({ attempts, reason, status, error }) {
+        if (this.ended) {
+            return;
+        }
+        this.ended = true;
+        this.endAttempt();
+        this.span.setAttribute('retry.attempts', attempts);
+        if (reason) {
+            this.span.setAttribute('retry.give_up_reason', reason);
+        }
+        setOutcome(this.span, status, error);
+        this.span.end();
+    }
+}
+
+// used without tracer
+const noopTrace = {
+    startAttempt: () => ({}),
+    attemptDone: () => {},
+    endAttempt: () => {},
+    end: () => {}
+};
+
+/**
+ * Start tracing a request
+ * @param {Object} [tracer] OpenTelemetry tracer, or nothing to disable tracing
+ * @param {String} url request url
+ * @param {String} method request method
+ * @param {Object} [context] OpenTelemetry context of the request
+ * @returns {RequestTrace} request trace, which does nothing without tracer
+ */
+function startTrace(tracer, url, method, context) {
+    return tracer ? new RequestTrace(tracer, url, method, context) : noopTrace;
+}
+
+module.exports = {
+    SPAN_KEY,
+    startTrace
+};
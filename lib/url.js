@@ -0,0 +1,62 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+'use strict';
+
+const DEFAULT_PORTS = { http: '80', https: '443', ws: '80', wss: '443' };
+
+// origin of urls that are not absolute, so that they do not leak into metric labels and keys
+const UNKNOWN_ORIGIN = 'unknown';
+
+/**
+ * Split a request url into its lowercase origin and its path, without query string or fragment.
+ * The origin leaves out credentials and the default port of the scheme.
+ * @param {String} url request url
+ * @returns {Object} `origin` and `path`, or null if the url is not absolute
+ */
+function parseUrl(url) {
+    const match = /^([a-z][a-z0-9+.-]*):\/\/(?:[^/?#]*@)?([^/?#@]+)([^?#]*)/i.exec(String(url));
+    if (!match) {
+        return null;
+    }
+    const scheme = match[1].toLowerCase();
+    let host = match[2].toLowerCase();
+    const port = /:(\d+)$/.exec(host);
+    if (port && port[1] === DEFAULT_PORTS[scheme]) {
+        host = host.slice(0, -port[0].length);
+    }
+    return { origin: `${scheme}://${host}`, path: match[3] || '/' };
+}
+
+/**
+ * Origin of a request url
+ * @param {String} url request url
+ * @returns {String} url origin, or `unknown` if the url is not absolute
+ */
+function getOrigin(url) {
+    const parsed = parseUrl(url);
+    return parsed ? parsed.origin : UNKNOWN_ORIGIN;
+}
+
+/**
+ * Request url with its credentials redacted, as recommended by the OpenTelemetry semantic conventions
+ * @param {String} url request url
+ * @returns {String} url with `REDACTED:REDACTED` in place of the username and password
+ */
+function redactCredentials(url) {
+    return String(url).replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/?#]*@/i, '$1REDACTED:REDACTED@');
+}
+
+module.exports = {
+    parseUrl,
+    getOrigin,
+    redactCredentials
+};
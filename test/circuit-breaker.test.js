@@ -0,0 +1,229 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {FetchError} = require('node-fetch');
+const {CircuitBreaker, CircuitOpenError} = require('../lib/circuit-breaker');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('test CircuitBreaker', () => {
+    it('opens after failureThreshold failures and fails fast', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3 });
+        const events = [];
+        breaker.on('stateChange', (event) => events.push(event));
+        for (let i = 0; i < 2; ++i) {
+            assert.ok(breaker.allowRequest(`${FAKE_BASE_URL}/a`));
+            breaker.recordFailure(`${FAKE_BASE_URL}/a`);
+        }
+        assert.strictEqual(breaker.getState(`${FAKE_BASE_URL}/b`), 'closed');
+        breaker.recordFailure(`${FAKE_BASE_URL}/b`);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'open');
+        assert.strictEqual(breaker.allowRequest(`${FAKE_BASE_URL}/c`), false);
+        // other origins are not affected
+        assert.ok(breaker.allowRequest('https://other.com/a'));
+        assert.deepStrictEqual(events, [{ key: FAKE_BASE_URL, from: 'closed', to: 'open' }]);
+    });
+
+    it('opens after failureRateThreshold once minimumRequests is reached', () => {
+        const breaker = new CircuitBreaker({ failureRateThreshold: 0.5, minimumRequests: 4 });
+        breaker.recordSuccess(FAKE_BASE_URL);
+        breaker.recordSuccess(FAKE_BASE_URL);
+        breaker.recordFailure(FAKE_BASE_URL);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'closed');
+        breaker.recordFailure(FAKE_BASE_URL);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'open');
+    });
+
+    it('only counts failures within windowDuration', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, windowDuration: 50 });
+        breaker.recordFailure(FAKE_BASE_URL);
+        await sleep(60);
+        breaker.recordFailure(FAKE_BASE_URL);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'closed');
+    });
+
+    it('half-opens after the cooldown and closes on a successful trial', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 50 });
+        const states = [];
+        breaker.on('open', () => states.push('open'));
+        breaker.on('half-open', () => states.push('half-open'));
+        breaker.on('closed', () => states.push('closed'));
+        breaker.recordFailure(FAKE_BASE_URL);
+        assert.strictEqual(breaker.allowRequest(FAKE_BASE_URL), false);
+        await sleep(60);
+        assert.ok(breaker.allowRequest(FAKE_BASE_URL));
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'half-open');
+        // only one trial at a time
+        assert.strictEqual(breaker.allowRequest(FAKE_BASE_URL), false);
+        breaker.recordSuccess(FAKE_BASE_URL);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'closed');
+        assert.deepStrictEqual(states, ['open', 'half-open', 'closed']);
+    });
+
+    it('opens again on a failed trial', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 50 });
+        breaker.recordFailure(FAKE_BASE_URL);
+        await sleep(60);
+        assert.ok(breaker.allowRequest(FAKE_BASE_URL));
+        breaker.recordFailure(FAKE_BASE_URL);
+        assert.strictEqual(breaker.getState(FAKE_BASE_URL), 'open');
+        assert.strictEqual(breaker.allowRequest(FAKE_BASE_URL), false);
+    });
+
+    it('releases trial slots', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 50 });
+        breaker.recordFailure(FAKE_BASE_URL);
+        await sleep(60);
+        assert.ok(breaker.allowRequest(FAKE_BASE_URL));
+        breaker.release(FAKE_BASE_URL);
+        assert.ok(breaker.allowRequest(FAKE_BASE_URL));
+    });
+
+    it('evicts idle closed circuits', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, windowDuration: 50, cooldown: 1000 });
+        for (let i = 0; i < 10; ++i) {
+            breaker.recordSuccess(`https://host${i}.com`);
+        }
+        breaker.recordFailure('https://down.com');
+        assert.strictEqual(breaker.circuits.size, 11);
+        await sleep(60);
+        breaker.recordSuccess('https://new.com');
+        assert.deepStrictEqual(Array.from(breaker.circuits.keys()), ['https://down.com', 'https://new.com']);
+        assert.strictEqual(breaker.getState('https://down.com'), 'open');
+    });
+
+    it('uses a custom key function', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, key: (url) => url.split('?')[0] });
+        breaker.recordFailure(`${FAKE_BASE_URL}/a?x=1`);
+        assert.strictEqual(breaker.getState(`${FAKE_BASE_URL}/a?x=2`), 'open');
+        assert.strictEqual(breaker.getState(`${FAKE_BASE_URL}/b`), 'closed');
+    });
+
+    it('validates options', () => {
+        assert.throws(() => new CircuitBreaker({ failureThreshold: 0 }), { message: '`failureThreshold` must be a positive integer >= 1' });
+        assert.throws(() => new CircuitBreaker({ failureRateThreshold: 2 }), { message: '`failureRateThreshold` must be a number between 0 and 1' });
+        assert.throws(() => new CircuitBreaker({ key: 'origin' }), { message: "'key' must be a function: origin" });
+    });
+});
+
+describe('test fetch retry with circuit breaker', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('fails fast once the circuit opens', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(3)
+            .reply(503);
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 3 });
+        let giveUp;
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                retryOptions: {
+                    retryInitialDelay: 10,
+                    circuitBreaker,
+                    onGiveUp: (context) => { giveUp = context; }
+                }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof CircuitOpenError);
+            assert.ok(e instanceof FetchError);
+            assert.strictEqual(e.type, 'circuit-open');
+            assert.strictEqual(e.key, FAKE_BASE_URL);
+        }
+        assert(nock.isDone());
+        assert.strictEqual(giveUp.reason, 'circuit-open');
+
+        // later requests are not sent at all
+        await assert.rejects(fetch(`${FAKE_BASE_URL}/other`, { retryOptions: { circuitBreaker } }), CircuitOpenError);
+    });
+
+    it('counts every attempt of a request', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(3)
+            .reply(503);
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 3 });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 3, circuitBreaker }
+        });
+        assert.strictEqual(response.status, 503);
+        // a single request retried twice opens the circuit
+        assert.strictEqual(circuitBreaker.getState(FAKE_BASE_URL), 'open');
+    });
+
+    it('non-retryable responses count as successes', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(3)
+            .reply(404);
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+        for (let i = 0; i < 3; ++i) {
+            const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { circuitBreaker } });
+            assert.strictEqual(response.status, 404);
+        }
+        assert.strictEqual(circuitBreaker.getState(FAKE_BASE_URL), 'closed');
+    });
+
+    it('gives back the trial slot when an attempt throws', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 10 });
+        circuitBreaker.recordFailure(FAKE_BASE_URL);
+        await sleep(20);
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                retryOptions: { circuitBreaker, onAttempt: () => { throw new Error('hook failed'); } }
+            }),
+            { message: 'hook failed' }
+        );
+        assert.strictEqual(circuitBreaker.getState(FAKE_BASE_URL), 'half-open');
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { circuitBreaker } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(circuitBreaker.getState(FAKE_BASE_URL), 'closed');
+    });
+
+    it('is shared through createFetch defaults', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+        const configuredFetch = fetch.createFetch({ retryOptions: { circuitBreaker, retryInitialDelay: 10 } });
+        await assert.rejects(configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`), CircuitOpenError);
+        await assert.rejects(configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`), CircuitOpenError);
+        assert(nock.isDone());
+    });
+
+    it('test retry with malformed circuitBreaker', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { circuitBreaker: {} } }),
+            { message: "'circuitBreaker' must be a CircuitBreaker: [object Object]" }
+        );
+    });
+});
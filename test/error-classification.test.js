@@ -0,0 +1,117 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {ERROR_CLASSIFICATION, classifyErrorCode, isErrorClassification} = require('../lib/error-classification');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+/**
+ * Network error with a code, wrapped by node-fetch in a FetchError of type `system`
+ */
+function networkError(code) {
+    const error = new Error(`network error ${code}`);
+    error.code = code;
+    return error;
+}
+
+describe('test error classification', () => {
+    it('classifies error codes', () => {
+        assert.strictEqual(fetch.ERROR_CLASSIFICATION, ERROR_CLASSIFICATION);
+        assert.ok(Object.isFrozen(ERROR_CLASSIFICATION));
+        assert.strictEqual(classifyErrorCode('ECONNRESET'), 'retryable');
+        assert.strictEqual(classifyErrorCode('EAI_AGAIN'), 'retryable');
+        assert.strictEqual(classifyErrorCode('CERT_HAS_EXPIRED'), 'terminal');
+        assert.strictEqual(classifyErrorCode('EACCES'), 'terminal');
+        assert.strictEqual(classifyErrorCode('EUNKNOWN'), undefined);
+        assert.strictEqual(classifyErrorCode('toString'), undefined);
+        assert.strictEqual(classifyErrorCode('ECONNRESET', { ECONNRESET: 'terminal' }), 'terminal');
+        assert.strictEqual(classifyErrorCode('EUNKNOWN', { ECONNRESET: 'terminal' }), undefined);
+    });
+
+    it('validates classifications', () => {
+        assert.ok(isErrorClassification({}));
+        assert.ok(isErrorClassification({ EPROTO: 'retryable', ECONNRESET: 'terminal' }));
+        assert.ok(!isErrorClassification({ EPROTO: true }));
+        assert.ok(!isErrorClassification(['EPROTO']));
+        assert.ok(!isErrorClassification(null));
+    });
+});
+
+describe('test fetch retry error classification', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    for (const code of ['CERT_HAS_EXPIRED', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE', 'EACCES']) {
+        it(`does not retry terminal errors: ${code}`, async () => {
+            nock(FAKE_BASE_URL)
+                .get(FAKE_PATH)
+                .replyWithError(networkError(code));
+            await assert.rejects(fetch(`${FAKE_BASE_URL}${FAKE_PATH}`), { name: 'FetchError', type: 'system', code });
+            assert(nock.isDone());
+        });
+    }
+
+    it('retries retryable and unknown errors', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('ETIMEDOUT'));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('EUNKNOWN'));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryInitialDelay: 10 } });
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('extends and overrides the classification through retryOptions', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('CERT_HAS_EXPIRED'));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('ECONNRESET'));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('EACCES'));
+        const errorClassification = { CERT_HAS_EXPIRED: 'retryable', ECONNRESET: 'terminal' };
+        const retryOptions = { retryInitialDelay: 10, errorClassification };
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions });
+        assert.strictEqual(response.status, 200);
+        await assert.rejects(fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions }), { code: 'ECONNRESET' });
+        // other codes keep their default classification
+        await assert.rejects(fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions }), { code: 'EACCES' });
+        assert(nock.isDone());
+    });
+
+    it('test retry with malformed errorClassification', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { errorClassification: { EPROTO: 'maybe' } } }),
+            { message: "'errorClassification' must map error codes to 'retryable' or 'terminal': [object Object]" }
+        );
+    });
+});
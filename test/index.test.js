@@ -19,11 +19,15 @@ const nock = require('nock');
 const assert = require('assert');
 const fetch = require('../index');
 const rewire = require('rewire');
-const {FetchError} = require('node-fetch');
+const {FetchError, Headers, Request, Response} = require('node-fetch');
 
 // for tests requiring socket control
 const http = require('http');
+const net = require('net');
 const getPort = require('get-port');
+const AbortController = require('abort-controller');
+const {Readable} = require('stream');
+const zlib = require('zlib');
 
 const FAKE_BASE_URL = 'https://fakeurl.com';
 const FAKE_PATH = '/image/test.png';
@@ -51,6 +55,7 @@ describe('test `retryInit` function', () => {
         delete process.env.NODE_FETCH_RETRY_SOCKET_TIMEOUT;
         delete process.env.NODE_FETCH_RETRY_INITIAL_WAIT;
         delete process.env.NODE_FETCH_RETRY_FORCE_TIMEOUT;
+        delete process.env.NODE_FETCH_RETRY_MAX_ATTEMPTS;
     });
 
     it('no params, use default values', () => {
@@ -251,6 +256,15 @@ describe('test `retryInit` function', () => {
         assert.strictEqual(retryOptions.retryOnHttpResponse({ status: 400 }), false);
     });
 
+    it('max attempts from parameters and environment variables', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const retryInit = rewiredFetchRetry.__get__('retryInit');
+        assert.strictEqual(retryInit().retryMaxAttempts, undefined);
+        process.env.NODE_FETCH_RETRY_MAX_ATTEMPTS = 5;
+        assert.strictEqual(retryInit().retryMaxAttempts, 5);
+        assert.strictEqual(retryInit({ retryOptions: { retryMaxAttempts: 2 } }).retryMaxAttempts, 2);
+    });
+
     it('custom retry on http response', () => {
         const rewiredFetchRetry = rewire('../index');
         const retryInit = rewiredFetchRetry.__get__('retryInit');
@@ -666,7 +680,7 @@ describe('test fetch retry', () => {
             await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryBackoff: 0 } });
             // retryBackoff must be greater than zero
         } catch (e) {
-            assert.strictEqual(e.message, "`retryBackoff` must be a positive integer >= 1");
+            assert.strictEqual(e.message, "`retryBackoff` must be a number >= 1");
             threw = true;
         }
         assert.ok(threw);
@@ -675,7 +689,7 @@ describe('test fetch retry', () => {
         try {
             await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryBackoff: '21rgvfdb;wt' } });
         } catch (e) {
-            assert.strictEqual(e.message, "`retryBackoff` must be a positive integer >= 1");
+            assert.strictEqual(e.message, "`retryBackoff` must be a number >= 1");
             threw = true;
         }
         assert.ok(threw);
@@ -914,7 +928,10 @@ describe('test fetch retry on http errors (throw exceptions)', () => {
             assert.fail("Should have thrown an error!");
         } catch (e) {
             assert(nock.isDone());
-            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed, reason: something awful happened');
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'request-timeout');
+            assert.strictEqual(e.history.length, 3);
+            assert.strictEqual(e.lastError.message, 'request to https://fakeurl.com/image/test.png failed, reason: something awful happened');
             assert.strictEqual(e.code, '503');
         }
         console.log(`ellapsed: ${timer.ellapsed}`);
@@ -984,7 +1001,11 @@ describe('test fetch retry on http errors (throw exceptions)', () => {
             assert.fail("Should have thrown an error!");
         } catch (e) {
             assert(nock.isDone());
-            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed, reason: socket hang up');
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'request-timeout');
+            assert.strictEqual(e.history.length, 3);
+            assert.strictEqual(e.lastError.message, 'request to https://fakeurl.com/image/test.png failed, reason: socket hang up');
+            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed after 3 attempts (retryMaxDuration reached), reason: socket hang up');
             assert.strictEqual(e.code, 'ECONNRESET');
         }
         console.log(`ellapsed: ${timer.ellapsed}`);
@@ -1092,3 +1113,2379 @@ describe('test fetch retry on http errors (throw exceptions)', () => {
         assert.strictEqual(response.status, 200);
     });
 });
+
+describe('test fetch retry with Retry-After and rate limit headers', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('parses Retry-After header values', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const parseRetryAfterValue = rewiredFetchRetry.__get__('parseRetryAfterValue');
+        assert.strictEqual(parseRetryAfterValue('2'), 2000);
+        assert.strictEqual(parseRetryAfterValue(' 0.5 '), 500);
+        assert.strictEqual(parseRetryAfterValue('not a date'), undefined);
+        assert.strictEqual(parseRetryAfterValue(null), undefined);
+        assert.strictEqual(parseRetryAfterValue(new Date(Date.now() - 10000).toUTCString()), 0);
+        const delay = parseRetryAfterValue(new Date(Date.now() + 10000).toUTCString());
+        assert.ok(delay > 8000 && delay <= 10000);
+    });
+
+    it('parses rate limit reset header values', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const parseRateLimitResetValue = rewiredFetchRetry.__get__('parseRateLimitResetValue');
+        assert.strictEqual(parseRateLimitResetValue('3'), 3000);
+        assert.strictEqual(parseRateLimitResetValue('abc'), undefined);
+        const delay = parseRateLimitResetValue(String(Math.floor(Date.now() / 1000) + 10));
+        assert.ok(delay > 8000 && delay <= 10000);
+    });
+
+    it('waits the time asked by Retry-After on 503', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '1' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryInitialDelay: 10 } });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.ok(timer.isBetween(1000, 1500), "Should have taken approximately 1000ms");
+    });
+
+    it('waits until X-RateLimit-Reset on 429', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(429, '', { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryOnHttpResponse: (response) => response.status === 429
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.ok(timer.isBetween(1000, 1500), "Should have taken approximately 1000ms");
+    });
+
+    it('ignores RateLimit-Reset when the rate limit is not exhausted', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(500, '', { 'RateLimit-Remaining': '10', 'RateLimit-Reset': '30' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryInitialDelay: 10 } });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.ok(timer.isBetween(0, 300), "Should have taken < 300ms");
+    });
+
+    it('gives up early when Retry-After exceeds retryMaxDuration', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '120' });
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryMaxDuration: 5000 } });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 503);
+        assert.ok(timer.isBetween(0, 100), "Should have taken < 100ms");
+    });
+
+    it('caps Retry-After with retryAfterMaxDelay', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '120' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: { retryMaxDuration: 5000, retryAfterMaxDelay: 200 }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.ok(timer.isBetween(200, 500), "Should have taken approximately 200ms");
+    });
+
+    it('ignores Retry-After when respectRetryAfter is false', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '120' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: { retryMaxDuration: 5000, respectRetryAfter: false }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('test retry with malformed Retry-After settings', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { respectRetryAfter: 'yes' } }),
+            { message: "'respectRetryAfter' must be a boolean: yes" }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryAfterMaxDelay: -1 } }),
+            { message: "`retryAfterMaxDelay` must not be a negative integer" }
+        );
+    });
+});
+
+describe('test fetch retry with caller abort signal', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('caller abort is not retryable', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const shouldRetryOnHttpError = rewiredFetchRetry.__get__('shouldRetryOnHttpError');
+        assert.strictEqual(shouldRetryOnHttpError(new fetch.RequestAbortedError(FAKE_BASE_URL)), false);
+    });
+
+    it('rejects without fetching when the signal is already aborted', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', signal: controller.signal }),
+            fetch.RequestAbortedError
+        );
+        assert(!nock.isDone());
+    });
+
+    it('aborts the attempt in flight', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delay(1000)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', signal: controller.signal });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RequestAbortedError);
+            assert.strictEqual(e.name, 'AbortError');
+            assert.strictEqual(e.type, 'request-aborted');
+        }
+        assert.ok(timer.isBetween(100, 300), "Should have taken approximately 100ms");
+    });
+
+    it('aborts the wait between retries', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                signal: controller.signal,
+                retryOptions: { retryInitialDelay: 2000 }
+            }),
+            fetch.RequestAbortedError
+        );
+        assert.ok(timer.isBetween(100, 300), "Should have taken approximately 100ms");
+        assert(!nock.isDone()); // second attempt never happened
+    });
+
+    it('does not wait when aborted during the onRetry hook', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const timer = new Timer();
+        const controller = new AbortController();
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                signal: controller.signal,
+                retryOptions: { retryInitialDelay: 2000, onRetry: () => controller.abort() }
+            }),
+            fetch.RequestAbortedError
+        );
+        assert.ok(timer.isBetween(0, 200), `took ${timer.ellapsed}ms`);
+        assert(!nock.isDone()); // second attempt never happened
+    });
+
+    it('stops reading the retried response when aborted', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, () => new Readable({ read() {} }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const bodies = [];
+        const timer = new Timer();
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                signal: controller.signal,
+                retryOptions: { retryInitialDelay: 2000, onRetry: ({ response }) => bodies.push(response.body) }
+            }),
+            fetch.RequestAbortedError
+        );
+        assert.ok(timer.isBetween(100, 300), `took ${timer.ellapsed}ms`);
+        assert.ok(bodies[0].destroyed);
+        assert(!nock.isDone()); // second attempt never happened
+    });
+
+    it('socket timeout still applies with a caller signal', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(1000)
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const controller = new AbortController();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            signal: controller.signal,
+            retryOptions: { retryMaxDuration: 2000, socketTimeout: 200 }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+});
+
+describe('test fetch retry with request bodies', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('replays a buffered stream body', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello stream')
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello stream')
+            .reply(200, { ok: true });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'PUT',
+            body: Readable.from(['hello', ' ', 'stream'])
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('calls the body factory once per attempt', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello 1')
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello 2')
+            .reply(200, { ok: true });
+        let calls = 0;
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'PUT',
+            body: async () => {
+                ++calls;
+                return Readable.from([`hello ${calls}`]);
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(calls, 2);
+    });
+
+    it('sends a stream body larger than maxBodyBufferSize once', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello stream')
+            .reply(200, { ok: true });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'PUT',
+            body: Readable.from(['hello', ' ', 'stream']),
+            retryOptions: { maxBodyBufferSize: 4 }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('refuses to retry a stream body larger than maxBodyBufferSize', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH, 'hello stream')
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .reply(200, { ok: true });
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'PUT',
+                body: Readable.from(['hello', ' ', 'stream']),
+                retryOptions: { maxBodyBufferSize: 4 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.strictEqual(e.name, 'FetchError');
+            assert.strictEqual(e.type, 'body-not-replayable');
+            assert.strictEqual(e.status, 500);
+        }
+        assert(!nock.isDone()); // no second attempt
+    });
+
+    it('attaches the error that would have been retried when the stream body cannot be replayed', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .replyWithError({ message: 'socket hang up', code: 'ECONNRESET' });
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'PUT',
+                body: Readable.from(['hello', ' ', 'stream']),
+                retryOptions: { maxBodyBufferSize: 4, retryNonIdempotent: true }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.strictEqual(e.type, 'body-not-replayable');
+            assert.strictEqual(e.status, undefined);
+            assert.strictEqual(e.cause.code, 'ECONNRESET');
+            assert.ok(e.message.includes('socket hang up'), e.message);
+        }
+    });
+
+    it('stops buffering a stream body when the request is aborted', async () => {
+        const body = new Readable({ read() {} });
+        body.push('hello');
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        const timer = new Timer();
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'PUT', body, signal: controller.signal }),
+            fetch.RequestAbortedError
+        );
+        assert.ok(timer.isBetween(100, 300), `took ${timer.ellapsed}ms`);
+        assert.ok(body.destroyed);
+    });
+
+    it('stops buffering a stream body after retryMaxDuration', async () => {
+        const body = new Readable({ read() {} });
+        body.push('hello');
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'PUT', body, retryOptions: { retryMaxDuration: 200 } });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'request-timeout');
+            assert.strictEqual(e.attempts, 0);
+            assert.match(e.message, /^request to https:\/\/fakeurl.com\/image\/test.png failed after 0 attempts \(retryMaxDuration reached\), reason: request body was not read within \d+ms$/);
+        }
+        assert.ok(body.destroyed);
+    });
+
+    it('rejects when the stream body fails', async () => {
+        const body = new Readable({
+            read() {
+                this.destroy(new Error('disk error'));
+            }
+        });
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'PUT', body }),
+            { message: 'disk error' }
+        );
+    });
+
+    it('test retry with malformed maxBodyBufferSize', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { maxBodyBufferSize: 'big' } }),
+            { message: "`maxBodyBufferSize` must not be a negative integer" }
+        );
+    });
+});
+
+describe('test fetch retry with custom logger', () => {
+    class TestLogger {
+        constructor() {
+            this.messages = [];
+        }
+        debug(message, fields) {
+            this.messages.push({ level: 'debug', message, fields });
+        }
+        info(message, fields) {
+            this.messages.push({ level: 'info', message, fields });
+        }
+        warn(message, fields) {
+            this.messages.push({ level: 'warn', message, fields });
+        }
+        error(message, fields) {
+            this.messages.push({ level: 'error', message, fields });
+        }
+    }
+
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+        fetch.setLogger();
+    });
+
+    it('logs retries with structured fields', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(200, { ok: true });
+        const logger = new TestLogger();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'post',
+            retryOptions: { retryInitialDelay: 10, logger, retryNonIdempotent: true }
+        });
+        assert.strictEqual(response.status, 200);
+
+        const warnings = logger.messages.filter(m => m.level === 'warn' && m.message.startsWith('Retrying'));
+        assert.strictEqual(warnings.length, 2);
+        assert.strictEqual(warnings[0].fields.url, `${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.strictEqual(warnings[0].fields.method, 'POST');
+        assert.strictEqual(warnings[0].fields.attempt, 1);
+        assert.strictEqual(warnings[0].fields.status, 500);
+        assert.strictEqual(typeof warnings[0].fields.waitTime, 'number');
+        assert.strictEqual(warnings[1].fields.attempt, 2);
+        assert.strictEqual(warnings[1].fields.code, 'ECONNRESET');
+
+        const attempts = logger.messages.filter(m => m.level === 'debug');
+        assert.deepStrictEqual(attempts.map(m => m.fields.attempt), [1, 2, 3]);
+    });
+
+    it('logs through a partial logger', () => {
+        const messages = [];
+        const rewiredFetchRetry = rewire('../index');
+        const retryInit = rewiredFetchRetry.__get__('retryInit');
+        const retryOptions = retryInit({
+            retryOptions: {
+                retryMaxDuration: 3000,
+                socketTimeout: 4000,
+                forceSocketTimeout: true,
+                logger: { info: (message) => messages.push(message) }
+            }
+        });
+        assert.strictEqual(retryOptions.retryOnHttpError(new FetchError('hello!', 'system')), true);
+        assert.deepStrictEqual(messages, ['Forced to use socket timeout of (ms): 4000']);
+    });
+
+    it('uses the global logger set with setLogger()', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const logger = new TestLogger();
+        fetch.setLogger(logger);
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryInitialDelay: 10 } });
+        assert.ok(logger.messages.some(m => m.level === 'warn' && m.fields.status === 500));
+    });
+
+    it('request logger takes priority over the global logger', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const globalLogger = new TestLogger();
+        const requestLogger = new TestLogger();
+        fetch.setLogger(globalLogger);
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryInitialDelay: 10, logger: requestLogger } });
+        assert.strictEqual(globalLogger.messages.length, 0);
+        assert.ok(requestLogger.messages.length > 0);
+    });
+
+    it('silent mode', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(500);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const consoleError = console.error;
+        let logged = false;
+        console.error = () => { logged = true; };
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryInitialDelay: 10, logger: false } });
+        } finally {
+            console.error = consoleError;
+        }
+        assert.strictEqual(logged, false);
+    });
+
+    it('test retry with malformed logger', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { logger: 'console' } }),
+            { message: "'logger' must be an object or false: console" }
+        );
+        assert.throws(() => fetch.setLogger(true), { message: "'logger' must be an object or false: true" });
+    });
+});
+
+describe('test fetch retry with max attempts', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('returns the last response when retryMaxAttempts is reached', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2 }
+        });
+        assert(!nock.isDone()); // third attempt never happened
+        assert.strictEqual(response.status, 503);
+    });
+
+    it('rejects with the attempts limit when the last attempt failed with an error', async () => {
+        const systemError = new FetchError('socket hang up', 'system', {
+            code: 'ECONNRESET'
+        });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .thrice()
+            .replyWithError(systemError);
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 3 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert(nock.isDone());
+            assert.strictEqual(e.name, 'FetchError');
+            assert.strictEqual(e.type, 'max-attempts-reached');
+            assert.strictEqual(e.code, 'ECONNRESET');
+            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed after 3 attempts (retryMaxAttempts reached), reason: socket hang up');
+        }
+    });
+
+    it('names retryMaxDuration when it is reached before retryMaxAttempts', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(10)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                retryOptions: { retryInitialDelay: 100, retryStrategy: 'constant', retryMaxAttempts: 10, retryMaxDuration: 300 }
+            }),
+            {
+                name: 'FetchError',
+                type: 'request-timeout',
+                code: 'ECONNRESET',
+                message: /^request to https:\/\/fakeurl.com\/image\/test.png failed after [1-3] attempts \(retryMaxDuration reached\), reason: .*socket hang up$/
+            }
+        );
+    });
+
+    it('does not wrap errors that are not retried', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError('bad');
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                retryOptions: { retryMaxAttempts: 1, retryOnHttpError: () => false }
+            }),
+            { message: 'request to https://fakeurl.com/image/test.png failed, reason: bad' }
+        );
+    });
+
+    it('stops at retryMaxDuration when it is hit first', async () => {
+        nock(FAKE_BASE_URL)
+            .persist()
+            .get(FAKE_PATH)
+            .reply(503);
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: { retryInitialDelay: 100, retryMaxDuration: 500, retryMaxAttempts: 100 }
+        });
+        nock.cleanAll(); // clean persisted nock
+        assert.strictEqual(response.status, 503);
+        assert.ok(timer.isBetween(0, 600), "Should have taken < 600ms");
+    });
+
+    it('test retry with malformed retryMaxAttempts', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryMaxAttempts: 0 } }),
+            { message: "`retryMaxAttempts` must be a positive integer >= 1" }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryMaxAttempts: 1.5 } }),
+            { message: "`retryMaxAttempts` must be a positive integer >= 1" }
+        );
+    });
+});
+
+describe('test fetch retry lifecycle hooks', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('calls hooks on attempts, retries and success', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const calls = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryInitialDelay: 10,
+                onAttempt: ({ attempt }) => calls.push(['onAttempt', attempt]),
+                onRetry: async ({ attempt, response, error, waitTime }) => {
+                    assert.strictEqual(typeof waitTime, 'number');
+                    calls.push(['onRetry', attempt, response ? response.status : error.code]);
+                },
+                onSuccess: ({ attempt, response }) => calls.push(['onSuccess', attempt, response.status]),
+                onGiveUp: () => calls.push(['onGiveUp'])
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(calls, [
+            ['onAttempt', 1],
+            ['onRetry', 1, 503],
+            ['onAttempt', 2],
+            ['onRetry', 2, 'ECONNRESET'],
+            ['onAttempt', 3],
+            ['onSuccess', 3, 200]
+        ]);
+    });
+
+    it('onRetry can update the request headers', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .matchHeader('Authorization', 'Bearer expired')
+            .reply(401);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .matchHeader('Authorization', 'Bearer refreshed')
+            .reply(200, { ok: true });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            headers: { Authorization: 'Bearer expired' },
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryOnHttpResponse: (response) => response.status === 401,
+                onRetry: async ({ options }) => {
+                    options.headers.Authorization = await Promise.resolve('Bearer refreshed');
+                }
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('calls onGiveUp when retryMaxAttempts is reached', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(503);
+        let giveUp;
+        let success = false;
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryMaxAttempts: 2,
+                onSuccess: () => { success = true; },
+                onGiveUp: (context) => { giveUp = context; }
+            }
+        });
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(success, false);
+        assert.strictEqual(giveUp.reason, 'retryMaxAttempts');
+        assert.strictEqual(giveUp.attempt, 2);
+        assert.strictEqual(giveUp.response.status, 503);
+    });
+
+    it('calls onGiveUp when the time limit prevents a retry', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '60' });
+        let giveUp;
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: { retryMaxDuration: 1000, onGiveUp: (context) => { giveUp = context; } }
+        });
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(giveUp.reason, 'retryMaxDuration');
+    });
+
+    it('calls onGiveUp on a non-retryable error', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError('bad');
+        let giveUp;
+        await assert.rejects(fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryOnHttpError: () => false,
+                onGiveUp: async (context) => { giveUp = context; }
+            }
+        }), { name: 'FetchError' });
+        assert.strictEqual(giveUp.reason, 'not-retryable');
+        assert.strictEqual(giveUp.error.name, 'FetchError');
+    });
+
+    it('rejects when a hook throws', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        await assert.rejects(fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                onRetry: async () => { throw new Error('hook failed'); }
+            }
+        }), { message: 'hook failed' });
+    });
+
+    it('test retry with malformed hooks', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { onRetry: 'yes' } }),
+            { message: "'onRetry' must be a function: yes" }
+        );
+    });
+});
+
+describe('test fetch retry errors', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('RetryError is a FetchError', () => {
+        const error = new fetch.RetryError('network timeout', 'request-timeout', 2, 100, [
+            { attempt: 1, status: 503 },
+            { attempt: 2, error: new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }) }
+        ]);
+        assert.ok(error instanceof FetchError);
+        assert.strictEqual(error.name, 'FetchError');
+        assert.strictEqual(error.type, 'request-timeout');
+        assert.strictEqual(error.code, 'ECONNRESET');
+        assert.strictEqual(error.attempts, 2);
+        assert.strictEqual(error.elapsed, 100);
+        assert.strictEqual(error.lastStatus, undefined);
+        assert.strictEqual(error.lastError.code, 'ECONNRESET');
+        assert.strictEqual(error.history.length, 2);
+    });
+
+    it('carries the attempt history on network timeout', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(1000)
+            .reply(200);
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                retryOptions: { retryInitialDelay: 100, retryMaxDuration: 400, socketTimeout: 300 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.ok(e instanceof FetchError);
+            assert.strictEqual(e.type, 'request-timeout');
+            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed after 2 attempts (retryMaxDuration reached), reason: network timeout');
+            assert.strictEqual(e.attempts, 2);
+            assert.ok(e.elapsed >= 300);
+            assert.strictEqual(e.lastError.name, 'AbortError');
+            assert.strictEqual(e.history.length, 2);
+            assert.strictEqual(e.history[0].attempt, 1);
+            assert.strictEqual(e.history[0].status, 503);
+            assert.strictEqual(typeof e.history[0].waitTime, 'number');
+            assert.strictEqual(typeof e.history[0].duration, 'number');
+            assert.strictEqual(e.history[1].attempt, 2);
+            assert.strictEqual(e.history[1].error.name, 'AbortError');
+            assert.strictEqual(e.history[1].waitTime, undefined);
+        }
+    });
+
+    it('carries the attempt history when retryMaxAttempts is reached', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'GET',
+                retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'max-attempts-reached');
+            assert.strictEqual(e.code, 'ECONNRESET');
+            assert.strictEqual(e.attempts, 2);
+            assert.deepStrictEqual(e.history.map(a => a.status || a.error.code), [503, 'ECONNRESET']);
+        }
+    });
+
+    it('names why a timed out request was not retried', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .delayConnection(1000)
+            .reply(200);
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'POST',
+                retryOptions: { socketTimeout: 100, forceSocketTimeout: true }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'request-timeout');
+            assert.strictEqual(e.message, 'request to https://fakeurl.com/image/test.png failed after 1 attempt (not retryable), reason: network timeout');
+        }
+    });
+});
+
+describe('test fetch retry backoff strategies', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    function delays(retryOptions, count) {
+        const rewiredFetchRetry = rewire('../index');
+        const retryInit = rewiredFetchRetry.__get__('retryInit');
+        const getRetryDelay = rewiredFetchRetry.__get__('getRetryDelay');
+        const options = retryInit({ retryOptions });
+        const result = [];
+        let lastDelay;
+        for (let attempt = 1; attempt <= count; ++attempt) {
+            lastDelay = getRetryDelay(options, attempt, lastDelay);
+            result.push(lastDelay);
+        }
+        return result;
+    }
+
+    it('exponential is the default', () => {
+        const result = delays({ retryInitialDelay: 100 }, 4);
+        [100, 200, 400, 800].forEach((expected, i) => {
+            assert.ok(result[i] >= expected && result[i] < expected + 100, `${result[i]} ~ ${expected}`);
+        });
+    });
+
+    it('constant, linear and fractional exponential backoff', () => {
+        const constant = delays({ retryInitialDelay: 100, retryStrategy: 'constant' }, 3);
+        const linear = delays({ retryInitialDelay: 100, retryStrategy: 'linear' }, 3);
+        const exponential = delays({ retryInitialDelay: 100, retryBackoff: 1.5 }, 3);
+        [100, 100, 100].forEach((expected, i) => assert.ok(constant[i] >= expected && constant[i] < expected + 100));
+        [100, 200, 300].forEach((expected, i) => assert.ok(linear[i] >= expected && linear[i] < expected + 100));
+        [100, 150, 225].forEach((expected, i) => assert.ok(exponential[i] >= expected && exponential[i] < expected + 100));
+    });
+
+    it('jitter strategies scale with the delay', () => {
+        for (let i = 0; i < 20; ++i) {
+            const full = delays({ retryInitialDelay: 1000, retryStrategy: 'full-jitter' }, 3);
+            const equal = delays({ retryInitialDelay: 1000, retryStrategy: 'equal-jitter' }, 3);
+            const decorrelated = delays({ retryInitialDelay: 1000, retryStrategy: 'decorrelated-jitter' }, 3);
+            [1000, 2000, 4000].forEach((max, i) => {
+                assert.ok(full[i] >= 0 && full[i] <= max);
+                assert.ok(equal[i] >= max / 2 && equal[i] <= max);
+            });
+            assert.ok(decorrelated[0] >= 1000 && decorrelated[0] <= 3000);
+            assert.ok(decorrelated[1] >= 1000 && decorrelated[1] <= decorrelated[0] * 3);
+        }
+    });
+
+    it('caps delays with retryMaxDelay', () => {
+        const result = delays({ retryInitialDelay: 1000, retryMaxDelay: 1500 }, 4);
+        assert.ok(result[0] >= 1000 && result[0] < 1100);
+        assert.deepStrictEqual(result.slice(1), [1500, 1500, 1500]);
+    });
+
+    it('uses a custom strategy', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const calls = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryStrategy: (attempt, lastDelay, context) => {
+                    calls.push([attempt, lastDelay, context.retryInitialDelay]);
+                    return attempt * 5;
+                }
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(calls, [[1, 10, 10], [2, 5, 10], [3, 10, 10]]);
+    });
+
+    it('does not feed Retry-After delays into the backoff', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '', { 'Retry-After': '0.05' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const lastDelays = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'GET',
+            retryOptions: {
+                retryInitialDelay: 10,
+                respectRetryAfter: true,
+                retryStrategy: (attempt, lastDelay) => {
+                    lastDelays.push(lastDelay);
+                    return 20;
+                }
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(lastDelays, [10, 20]);
+    });
+
+    it('rejects invalid delays of a custom strategy', async () => {
+        for (const delay of [NaN, -1, Infinity, '10']) {
+            await assert.rejects(
+                fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryStrategy: () => delay } }),
+                { message: `'retryStrategy' must return a non-negative number: ${delay}` }
+            );
+        }
+        const rewiredFetchRetry = rewire('../index');
+        const getRetryDelay = rewiredFetchRetry.__get__('getRetryDelay');
+        const retryInit = rewiredFetchRetry.__get__('retryInit');
+        const options = retryInit({ retryOptions: { retryStrategy: () => 1e9, retryMaxDelay: 500 } });
+        assert.strictEqual(getRetryDelay(options, 1), 500);
+    });
+
+    it('test retry with malformed backoff settings', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryStrategy: 'fibonacci' } }),
+            { message: "'retryStrategy' must be a function or one of constant, linear, exponential, full-jitter, equal-jitter, decorrelated-jitter: fibonacci" }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'GET', retryOptions: { retryMaxDelay: -5 } }),
+            { message: "`retryMaxDelay` must not be a negative integer" }
+        );
+    });
+});
+
+describe('test createFetch with default options', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('merges headers and retry options', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const mergeOptions = rewiredFetchRetry.__get__('mergeOptions');
+        const retryOnHttpResponse = () => false;
+        const defaults = {
+            method: 'GET',
+            headers: { Authorization: 'Basic default', 'x-api-key': 'key' },
+            retryOptions: { retryMaxDuration: 1000, retryInitialDelay: 10 }
+        };
+        const merged = mergeOptions(defaults, {
+            method: 'POST',
+            headers: new Headers({ authorization: 'Bearer token' }),
+            retryOptions: { retryInitialDelay: 20, retryOnHttpResponse, socketTimeout: undefined }
+        });
+        assert.deepStrictEqual(merged, {
+            method: 'POST',
+            headers: { 'x-api-key': 'key', authorization: 'Bearer token' },
+            retryOptions: { retryMaxDuration: 1000, retryInitialDelay: 20, retryOnHttpResponse }
+        });
+        // defaults are not modified
+        assert.deepStrictEqual(defaults.headers, { Authorization: 'Basic default', 'x-api-key': 'key' });
+        assert.deepStrictEqual(defaults.retryOptions, { retryMaxDuration: 1000, retryInitialDelay: 10 });
+
+        assert.strictEqual(mergeOptions(defaults, { retryOptions: false }).retryOptions, false);
+        assert.deepStrictEqual(mergeOptions({ retryOptions: false }, { retryOptions: { retryMaxDuration: 10 } }).retryOptions, { retryMaxDuration: 10 });
+        assert.deepStrictEqual(mergeOptions(undefined, { headers: [['x', '1']] }), { headers: { x: '1' } });
+    });
+
+    it('keeps headers repeated within the same options', () => {
+        const rewiredFetchRetry = rewire('../index');
+        const mergeOptions = rewiredFetchRetry.__get__('mergeOptions');
+        const merged = mergeOptions({ headers: [['x-tag', 'a'], ['X-Tag', 'b'], ['accept', 'text/plain']] }, {
+            headers: [['Accept', 'application/json'], ['accept', 'text/html']]
+        });
+        assert.deepStrictEqual(merged, { headers: { 'x-tag': 'a, b', Accept: 'application/json, text/html' } });
+    });
+
+    it('uses default options', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .matchHeader('x-api-key', 'key')
+            .reply(403);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .matchHeader('x-api-key', 'key')
+            .matchHeader('x-request-id', '123')
+            .reply(200, { ok: true });
+        const configuredFetch = fetch.createFetch({
+            headers: { 'x-api-key': 'key' },
+            retryOptions: { retryInitialDelay: 10, retryOnHttpResponse: (response) => !response.ok }
+        });
+        const response = await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { headers: { 'x-request-id': '123' } });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+    });
+
+    it('composes instances with extend()', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .matchHeader('x-api-key', 'key')
+            .matchHeader('x-upstream', 'storage')
+            .reply(500);
+        const serviceFetch = fetch.extend({
+            headers: { 'x-api-key': 'key' },
+            retryOptions: { retryInitialDelay: 10 }
+        });
+        const storageFetch = serviceFetch.extend({
+            headers: { 'x-upstream': 'storage' },
+            retryOptions: { retryOnHttpResponse: () => false }
+        });
+        const response = await storageFetch(`${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 500);
+    });
+});
+
+describe('test idempotency-aware retries', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('retries idempotent methods on 5xx', async () => {
+        for (const method of ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']) {
+            nock(FAKE_BASE_URL)
+                .intercept(FAKE_PATH, method)
+                .reply(503);
+            nock(FAKE_BASE_URL)
+                .intercept(FAKE_PATH, method)
+                .reply(200);
+            const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method, retryOptions: { retryInitialDelay: 10 } });
+            assert.strictEqual(response.status, 200, method);
+            assert(nock.isDone());
+        }
+    });
+
+    it('does not retry POST and PATCH on 5xx or connection resets', async () => {
+        for (const method of ['POST', 'patch']) {
+            nock(FAKE_BASE_URL)
+                .intercept(FAKE_PATH, method.toUpperCase())
+                .reply(503);
+            const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method, retryOptions: { retryInitialDelay: 10 } });
+            assert.strictEqual(response.status, 503, method);
+            assert(nock.isDone());
+
+            nock(FAKE_BASE_URL)
+                .intercept(FAKE_PATH, method.toUpperCase())
+                .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+            await assert.rejects(
+                fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method, retryOptions: { retryInitialDelay: 10 } }),
+                { code: 'ECONNRESET' }
+            );
+            assert(nock.isDone());
+        }
+    });
+
+    it('retries POST when the request never reached the server', async () => {
+        for (const code of ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']) {
+            nock(FAKE_BASE_URL)
+                .post(FAKE_PATH)
+                .replyWithError(new FetchError(`connect ${code}`, 'system', { code }));
+            nock(FAKE_BASE_URL)
+                .post(FAKE_PATH)
+                .reply(201);
+            const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', retryOptions: { retryInitialDelay: 10 } });
+            assert.strictEqual(response.status, 201, code);
+            assert(nock.isDone());
+        }
+    });
+
+    it('retries POST when opted in with retryNonIdempotent', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(201);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            retryOptions: { retryInitialDelay: 10, retryNonIdempotent: true }
+        });
+        assert.strictEqual(response.status, 201);
+        assert(nock.isDone());
+    });
+
+    it('custom retryOnHttpResponse applies to all methods', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(409);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(201);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            retryOptions: { retryInitialDelay: 10, retryOnHttpResponse: (response) => response.status === 409 }
+        });
+        assert.strictEqual(response.status, 201);
+        assert(nock.isDone());
+    });
+
+    it('sends the same generated Idempotency-Key with every attempt', async () => {
+        const keys = [];
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .times(2)
+            .reply(function () {
+                keys.push(String(this.req.headers['idempotency-key']));
+                return keys.length === 1 ? [503] : [201];
+            });
+        const headers = { 'content-type': 'application/json' };
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            headers,
+            body: '{}',
+            retryOptions: { retryInitialDelay: 10, idempotencyKey: true }
+        });
+        assert.strictEqual(response.status, 201);
+        assert(nock.isDone());
+        assert.strictEqual(keys.length, 2);
+        assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(keys[0]), keys[0]);
+        assert.strictEqual(keys[1], keys[0]);
+    });
+
+    it('generates a new Idempotency-Key for each request', async () => {
+        const keys = [];
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .times(2)
+            .reply(function () {
+                keys.push(String(this.req.headers['idempotency-key']));
+                return [201];
+            });
+        const configuredFetch = fetch.createFetch({ method: 'POST', retryOptions: { idempotencyKey: true } });
+        await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`);
+        await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert(nock.isDone());
+        assert.notStrictEqual(keys[0], keys[1]);
+    });
+
+    it('uses the given Idempotency-Key, or the one already in the headers', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .matchHeader('idempotency-key', 'abc')
+            .reply(201);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .matchHeader('idempotency-key', 'from-headers')
+            .reply(201);
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', retryOptions: { idempotencyKey: 'abc' } });
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            headers: new Headers({ 'Idempotency-Key': 'from-headers' }),
+            retryOptions: { idempotencyKey: true }
+        });
+        assert(nock.isDone());
+    });
+
+    it('test retry with malformed idempotency options', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryNonIdempotent: 'yes' } }),
+            { message: "'retryNonIdempotent' must be a boolean: yes" }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { idempotencyKey: 1 } }),
+            { message: "'idempotencyKey' must be a boolean or a non-empty string: 1" }
+        );
+    });
+});
+
+describe('test discarding retried responses', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('drains small bodies of retried responses', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, 'service unavailable');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true });
+        const discarded = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 100,
+                onRetry: ({ response, discardedBody }) => discarded.push({ response, discardedBody })
+            }
+        });
+        assert(nock.isDone());
+        assert.deepStrictEqual(await response.json(), { ok: true });
+        assert.strictEqual(discarded.length, 1);
+        assert.ok(discarded[0].response.body.readableEnded);
+        assert.strictEqual(discarded[0].discardedBody, undefined);
+    });
+
+    it('destroys bodies larger than maxDrainSize', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, 'x'.repeat(1000));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, () => Readable.from(new Array(10).fill('x'.repeat(100))));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const bodies = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 100,
+                maxDrainSize: 500,
+                onRetry: ({ response }) => bodies.push(response.body)
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(bodies.length, 2);
+        // known content length, and chunked body
+        assert.ok(bodies[0].destroyed);
+        assert.ok(bodies[1].destroyed);
+    });
+
+    it('destroys bodies that are not read within the wait time', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, () => new Readable({ read() {} }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const bodies = [];
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 1200,
+                retryStrategy: 'constant',
+                onRetry: ({ response }) => bodies.push(response.body)
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.ok(bodies[0].destroyed);
+        // the time spent reading the body is part of the wait
+        assert.ok(timer.isBetween(1200, 1390), `took ${timer.ellapsed}ms`);
+    });
+
+    it('drains small bodies even when the retry delay is zero', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayBody(50)
+            .reply(503, 'service unavailable');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const bodies = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryStrategy: () => 0,
+                onRetry: ({ response }) => bodies.push(response.body)
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.ok(bodies[0].readableEnded);
+    });
+
+    it('disposes of responses that cannot be retried because of the request body', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .reply(503, 'service unavailable');
+        let dropped;
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'PUT',
+                body: Readable.from(['hello', ' ', 'stream']),
+                retryOptions: {
+                    maxBodyBufferSize: 4,
+                    onGiveUp: ({ response }) => { dropped = response; }
+                }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.strictEqual(e.type, 'body-not-replayable');
+            assert.strictEqual(e.status, 503);
+            assert.strictEqual(e.cause, undefined);
+        }
+        assert.ok(dropped.body.readableEnded);
+    });
+
+    it('captures the first bytes of discarded bodies', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, 'upstream connect error or disconnect/reset before headers');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(502, () => Readable.from(['<html>', 'bad gateway</html>']));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, 'still failing');
+        const warnings = [];
+        const hookBodies = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryMaxAttempts: 3,
+                captureDiscardedBody: 16,
+                maxDrainSize: 100,
+                logger: { warn: (message, fields) => warnings.push(fields) },
+                onRetry: ({ discardedBody }) => hookBodies.push(discardedBody)
+            }
+        });
+        assert(nock.isDone());
+        // the last response is returned untouched
+        assert.strictEqual(await response.text(), 'still failing');
+        assert.deepStrictEqual(hookBodies, ['upstream connect', '<html>bad gatewa']);
+        assert.deepStrictEqual(warnings.map(fields => fields.discardedBody), ['upstream connect', '<html>bad gatewa']);
+    });
+
+    it('records captured bodies in the attempt history', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .reply(503, 'overloaded');
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2, captureDiscardedBody: 100 }
+            });
+        } catch (e) {
+            assert.fail(`Should have returned the last response: ${e.message}`);
+        }
+        nock.cleanAll();
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, 'overloaded');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2, captureDiscardedBody: 100 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.history[0].discardedBody, 'overloaded');
+            assert.strictEqual(e.history[1].discardedBody, undefined);
+        }
+    });
+
+    it('test retry with malformed discard options', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { maxDrainSize: -1 } }),
+            { message: '`maxDrainSize` must not be a negative integer' }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { captureDiscardedBody: 1.5 } }),
+            { message: '`captureDiscardedBody` must not be a negative integer' }
+        );
+    });
+});
+
+describe('test connect, response and body timeouts', () => {
+    // agent whose connections never get established
+    class StalledAgent extends http.Agent {
+        constructor() {
+            super();
+            this.connections = 0;
+        }
+
+        createConnection() {
+            this.connections++;
+            const socket = new net.Socket();
+            socket.connecting = true;
+            return socket;
+        }
+    }
+
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('retries when the connection is not established within connectTimeout', async () => {
+        const agent = new StalledAgent();
+        const port = await getPort();
+        const timer = new Timer();
+        try {
+            await fetch(`http://127.0.0.1:${port}${FAKE_PATH}`, {
+                method: 'POST',
+                agent,
+                retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2, connectTimeout: 100 }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'max-attempts-reached');
+            assert.strictEqual(e.lastError.type, 'connect-timeout');
+            assert.strictEqual(e.lastError.message, `connect timeout at http://127.0.0.1:${port}${FAKE_PATH}`);
+        }
+        // POST requests are retried, as they were never sent
+        assert.strictEqual(agent.connections, 2);
+        assert.ok(timer.isBetween(200, 1000), `took ${timer.ellapsed}ms`);
+    });
+
+    it('supports agent functions and connected sockets', async () => {
+        const hostname = '127.0.0.1';
+        const port = await getPort();
+        const server = http.createServer((req, res) => res.end('ok'));
+        await new Promise(resolve => server.listen(port, hostname, resolve));
+        const agent = new http.Agent({ keepAlive: true });
+        try {
+            for (let i = 0; i < 2; ++i) {
+                const response = await fetch(`http://${hostname}:${port}`, {
+                    agent: () => agent,
+                    retryOptions: { connectTimeout: 100 }
+                });
+                assert.strictEqual(await response.text(), 'ok');
+            }
+            const response = await fetch(`http://${hostname}:${port}`, { agent: false, retryOptions: { connectTimeout: 100 } });
+            assert.strictEqual(await response.text(), 'ok');
+        } finally {
+            agent.destroy();
+            server.close();
+        }
+    });
+
+    it('shares one agent without keep-alive for agent false', () => {
+        const watchSocket = rewire('../index').__get__('watchSocket');
+        const first = watchSocket(false, () => {})({ protocol: 'http:' });
+        const second = watchSocket(false, () => {})({ protocol: 'http:' });
+        assert.strictEqual(first.keepAlive, false);
+        assert.strictEqual(first.sockets, second.sockets);
+        assert.notStrictEqual(watchSocket(false, () => {})({ protocol: 'https:' }).sockets, first.sockets);
+    });
+
+    it('warns that connectTimeout is ignored by other fetch implementations', async () => {
+        const warnings = [];
+        const logger = { warn: message => warnings.push(message) };
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            fetch: async () => new Response('ok'),
+            retryOptions: { connectTimeout: 100, logger }
+        });
+        assert.deepStrictEqual(warnings, [
+            `connectTimeout is ignored unless the fetch implementation takes the node-fetch agent option: GET ${FAKE_BASE_URL}${FAKE_PATH}`
+        ]);
+    });
+
+    it('applies bodyTimeout to bodies read after the attempts', async () => {
+        // body of a failed response that never arrives, from an implementation without timeouts of its own
+        const stalled = { status: 404, ok: false, headers: new Headers(), json: () => new Promise(() => {}) };
+        const timer = new Timer();
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                fetch: async () => stalled,
+                retryOptions: { bodyTimeout: 100, responseType: 'json' }
+            }),
+            { name: 'FetchError', type: 'body-timeout', message: `body timeout at ${FAKE_BASE_URL}${FAKE_PATH}` }
+        );
+        assert.ok(timer.isBetween(100, 500), `took ${timer.ellapsed}ms`);
+    });
+
+    it('retries when the headers are not received within responseTimeout', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(500)
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, 'ok');
+        const errors = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                responseTimeout: 100,
+                onRetry: ({ error }) => errors.push(error)
+            }
+        });
+        assert.strictEqual(await response.text(), 'ok');
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].name, 'AbortError');
+    });
+
+    it('responseTimeout takes precedence over socketTimeout', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(200)
+            .reply(200, 'ok');
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { socketTimeout: 100, responseTimeout: 1000, forceSocketTimeout: true }
+        });
+        assert.strictEqual(await response.text(), 'ok');
+    });
+
+    it('retries when the body is not read within bodyTimeout', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayBody(500)
+            .reply(200, { ok: false });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { ok: true }, { 'x-attempt': '2' });
+        const errors = [];
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                bodyTimeout: 100,
+                responseType: 'json',
+                onRetry: ({ error }) => errors.push(error)
+            }
+        });
+        assert(nock.isDone());
+        assert.deepStrictEqual(result.data, { ok: true });
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.ok, true);
+        assert.strictEqual(result.headers.get('x-attempt'), '2');
+        assert.strictEqual(result.url, `${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof FetchError);
+        assert.strictEqual(errors[0].type, 'body-timeout');
+    });
+
+    it('does not retry body timeouts of POST requests', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .delayBody(500)
+            .reply(200, { ok: false });
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'POST',
+                retryOptions: { bodyTimeout: 100, responseType: 'json' }
+            }),
+            { name: 'FetchError', type: 'body-timeout' }
+        );
+    });
+
+    it('applies bodyTimeout to bodies read by the caller', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayBody(500)
+            .reply(200, { ok: false });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { bodyTimeout: 100 } });
+        assert.strictEqual(response.timeout, 100);
+        await assert.rejects(response.json(), { name: 'FetchError', type: 'body-timeout' });
+    });
+
+    it('reads the body as text or buffer', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .reply(200, 'hello');
+        const text = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { responseType: 'text' } });
+        assert.strictEqual(text.data, 'hello');
+        const buffer = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { responseType: 'buffer' } });
+        assert.ok(Buffer.isBuffer(buffer.data));
+        assert.strictEqual(buffer.data.toString(), 'hello');
+    });
+
+    it('reads the body of the last retried response', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .reply(503, { error: 'busy' });
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2, responseType: 'json' }
+        });
+        assert.strictEqual(result.status, 503);
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(result.data, { error: 'busy' });
+    });
+
+    it('test retry with malformed timeouts', async () => {
+        for (const name of ['connectTimeout', 'responseTimeout', 'bodyTimeout']) {
+            await assert.rejects(
+                fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { [name]: -1 } }),
+                { message: `\`${name}\` must not be a negative integer` }
+            );
+        }
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { responseType: 'xml' } }),
+            { message: "'responseType' must be one of json, text, buffer: xml" }
+        );
+    });
+});
+
+describe('test retry on malformed or invalid bodies', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('retries on truncated JSON', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, '{"items": [1, 2', { 'content-type': 'application/json' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { items: [1, 2, 3] });
+        const errors = [];
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                responseType: 'json',
+                onRetry: ({ error }) => errors.push(error)
+            }
+        });
+        assert(nock.isDone());
+        assert.deepStrictEqual(result.data, { items: [1, 2, 3] });
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].type, 'invalid-json');
+    });
+
+    it('retries when validateBody returns false or throws', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { status: 'busy' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { status: 'error' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { status: 'done' });
+        const errors = [];
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                responseType: 'json',
+                validateBody: async (data, response) => {
+                    assert.strictEqual(response.status, 200);
+                    if (data.status === 'error') {
+                        throw new Error('unexpected status');
+                    }
+                    return data.status === 'done';
+                },
+                onRetry: ({ error }) => errors.push(error)
+            }
+        });
+        assert(nock.isDone());
+        assert.deepStrictEqual(result.data, { status: 'done' });
+        assert.deepStrictEqual(errors.map(e => e.type), ['invalid-body', 'invalid-body']);
+        assert.strictEqual(errors[0].message, `invalid response body from ${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.strictEqual(errors[1].message, `invalid response body from ${FAKE_BASE_URL}${FAKE_PATH}: unexpected status`);
+    });
+
+    it('rejects with a RetryError once attempts are exhausted', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .reply(200, { status: 'busy' });
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                retryOptions: {
+                    retryInitialDelay: 10,
+                    retryMaxAttempts: 2,
+                    responseType: 'json',
+                    validateBody: (data) => data.status !== 'busy'
+                }
+            });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'max-attempts-reached');
+            assert.strictEqual(e.lastError.type, 'invalid-body');
+        }
+    });
+
+    it('does not validate or retry bodies of failed responses', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(404, { error: 'not found' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(404, '<html>not found</html>');
+        let validated = false;
+        const retryOptions = {
+            responseType: 'json',
+            validateBody: () => {
+                validated = true;
+                return false;
+            }
+        };
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions });
+        assert.strictEqual(result.status, 404);
+        assert.deepStrictEqual(result.data, { error: 'not found' });
+        assert.strictEqual(validated, false);
+        const html = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions });
+        assert.strictEqual(html.status, 404);
+        assert.strictEqual(html.data, undefined);
+        assert(nock.isDone());
+    });
+
+    it('reports failed responses whose body cannot be parsed as successes', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(404, '<html>not found</html>');
+        const outcomes = [];
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                responseType: 'json',
+                onSuccess: ({ response }) => outcomes.push(response.status)
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(result.status, 404);
+        assert.strictEqual(result.ok, false);
+        assert.strictEqual(result.data, undefined);
+        assert.deepStrictEqual(outcomes, [404]);
+    });
+
+    it('resolves with the last response once attempts are exhausted', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, { error: 'busy' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, '<html>Service Unavailable</html>');
+        const reasons = [];
+        const result = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryMaxAttempts: 2,
+                responseType: 'json',
+                onGiveUp: ({ reason }) => reasons.push(reason)
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(result.status, 503);
+        assert.strictEqual(result.data, undefined);
+        assert.deepStrictEqual(reasons, ['retryMaxAttempts']);
+
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503, { error: 'busy' });
+        const json = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryMaxAttempts: 1, responseType: 'json' } });
+        assert.strictEqual(json.status, 503);
+        assert.deepStrictEqual(json.data, { error: 'busy' });
+    });
+
+    it('does not retry invalid bodies of POST requests', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(200, 'oops');
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', retryOptions: { responseType: 'json' } }),
+            { type: 'invalid-json' }
+        );
+        assert(nock.isDone());
+    });
+
+    it('test retry with malformed validateBody', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { validateBody: 'schema' } }),
+            { message: "'validateBody' must be a function: schema" }
+        );
+    });
+});
+
+describe('test hedged requests', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('sends a hedge when the first request is slow and keeps the first response', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delay(1000)
+            .reply(200, 'slow');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, 'fast');
+        const timer = new Timer();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: 50 } });
+        assert.strictEqual(await response.text(), 'fast');
+        assert.ok(timer.isBetween(50, 500), `Should have answered with the hedge, took ${timer.ellapsed}ms`);
+        assert(nock.isDone());
+    });
+
+    it('caps the number of concurrent hedges', async () => {
+        let requests = 0;
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(4)
+            .delay(300)
+            .reply(() => {
+                ++requests;
+                return [200];
+            });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: 20, maxHedges: 2 } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(requests, 3);
+    });
+
+    it('only hedges requests that are safe to replay', async () => {
+        let requests = 0;
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .times(3)
+            .delay(200)
+            .reply(() => {
+                ++requests;
+                return [201];
+            });
+        const url = `${FAKE_BASE_URL}${FAKE_PATH}`;
+        const response = await fetch(url, { method: 'POST', body: 'data', retryOptions: { hedgeDelay: 20 } });
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual(requests, 1);
+        await fetch(url, { method: 'POST', body: 'data', retryOptions: { hedgeDelay: 20, idempotencyKey: 'key' } });
+        assert.strictEqual(requests, 3);
+    });
+
+    it('ignores errors while another request is in flight', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delay(200)
+            .reply(200, 'first');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: 20, retryMaxAttempts: 1 } });
+        assert.strictEqual(await response.text(), 'first');
+        assert(nock.isDone());
+    });
+
+    it('retries hedged attempts like single requests', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .delay(100)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: 50, retryMaxAttempts: 2, retryInitialDelay: 10 } });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.strictEqual(e.type, 'max-attempts-reached');
+            assert.strictEqual(e.lastError.code, 'ECONNRESET');
+            assert.deepStrictEqual(e.history.map(record => record.hedges), [1, 0]);
+        }
+    });
+
+    it('does not hedge past retryMaxDuration', async () => {
+        let requests = 0;
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .delay(300)
+            .reply(() => {
+                ++requests;
+                return [200];
+            });
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: 200, retryMaxDuration: 150, responseTimeout: 1000 } });
+        assert.strictEqual(requests, 1);
+    });
+
+    it('test retry with malformed hedging options', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { hedgeDelay: -1 } }),
+            { message: '`hedgeDelay` must not be a negative integer' }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { maxHedges: 0.5 } }),
+            { message: '`maxHedges` must be a positive integer >= 1' }
+        );
+    });
+});
+
+describe('test pluggable transports', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    /**
+     * Error raised by undici, the native fetch, when the request fails
+     */
+    function fetchFailed(code) {
+        const cause = new Error(`connect ${code} 127.0.0.1:8000`);
+        cause.code = code;
+        const error = new TypeError('fetch failed');
+        error.cause = cause;
+        return error;
+    }
+
+    it('sends requests with the given fetch implementation', async () => {
+        const calls = [];
+        const transport = async (url, options) => {
+            calls.push({ url, options });
+            if (calls.length === 1) {
+                throw fetchFailed('ECONNRESET');
+            }
+            return new Response('ok', { status: 200 });
+        };
+        const errors = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            fetch: transport,
+            headers: { accept: 'text/plain' },
+            retryOptions: { retryInitialDelay: 10, onRetry: ({ error }) => errors.push(error) }
+        });
+        assert.strictEqual(await response.text(), 'ok');
+        assert.strictEqual(calls.length, 2);
+        assert.strictEqual(calls[1].url, `${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.deepStrictEqual(calls[1].options.headers, { accept: 'text/plain' });
+        assert.strictEqual(calls[1].options.retryOptions, undefined);
+        assert.strictEqual(calls[1].options.fetch, undefined);
+
+        // undici errors are classified like node-fetch system errors
+        assert.ok(errors[0] instanceof FetchError);
+        assert.strictEqual(errors[0].type, 'system');
+        assert.strictEqual(errors[0].code, 'ECONNRESET');
+        assert.strictEqual(errors[0].message, `request to ${FAKE_BASE_URL}${FAKE_PATH} failed, reason: connect ECONNRESET 127.0.0.1:8000`);
+    });
+
+    it('only retries non-idempotent requests when they were not sent', async () => {
+        const codes = ['ECONNREFUSED', 'UND_ERR_SOCKET'];
+        const transport = async () => {
+            throw fetchFailed(codes.shift());
+        };
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', fetch: transport, retryOptions: { retryInitialDelay: 10 } }),
+            { name: 'FetchError', type: 'system', code: 'UND_ERR_SOCKET' }
+        );
+        assert.strictEqual(codes.length, 0);
+    });
+
+    it('uses the fetch implementation of createFetch', async () => {
+        const configuredFetch = fetch.createFetch({ fetch: async () => new Response('transport') });
+        const response = await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.strictEqual(await response.text(), 'transport');
+    });
+
+    it('retries network errors and timeouts of the native fetch', async function () {
+        if (typeof global.fetch !== 'function') {
+            this.skip();
+        }
+        const hostname = '127.0.0.1';
+        const port = await getPort();
+        let requests = 0;
+        const server = http.createServer((req, res) => {
+            ++requests;
+            if (requests === 1) {
+                req.socket.destroy();
+            } else if (requests === 2) {
+                setTimeout(() => res.end(), 500);
+            } else if (requests === 3) {
+                res.statusCode = 503;
+                res.end('busy');
+            } else {
+                res.setHeader('content-type', 'application/json');
+                res.end('{"ok":true}');
+            }
+        });
+        await new Promise(resolve => server.listen(port, hostname, resolve));
+        const retries = [];
+        try {
+            const { data } = await fetch(`http://${hostname}:${port}`, {
+                fetch: global.fetch,
+                retryOptions: {
+                    retryInitialDelay: 10,
+                    responseTimeout: 200,
+                    captureDiscardedBody: 10,
+                    responseType: 'json',
+                    onRetry: ({ error, discardedBody }) => retries.push(error || discardedBody)
+                }
+            });
+            assert.deepStrictEqual(data, { ok: true });
+            assert.strictEqual(requests, 4);
+            assert.strictEqual(retries[0].name, 'FetchError');
+            assert.strictEqual(retries[0].type, 'system');
+            assert.strictEqual(retries[1].name, 'AbortError');
+            assert.strictEqual(retries[2], 'busy');
+        } finally {
+            server.close();
+        }
+    });
+
+    it('sends stream bodies with the native fetch', async function () {
+        if (typeof global.fetch !== 'function') {
+            this.skip();
+        }
+        const hostname = '127.0.0.1';
+        const port = await getPort();
+        const bodies = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                bodies.push(body);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(port, hostname, resolve));
+        try {
+            // larger than maxBodyBufferSize: sent as a stream rather than buffered
+            const response = await fetch(`http://${hostname}:${port}`, {
+                method: 'PUT',
+                body: Readable.from(['hello', ' ', 'stream']),
+                fetch: global.fetch,
+                retryOptions: { maxBodyBufferSize: 4 }
+            });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(bodies, ['hello stream']);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('test retry with malformed fetch', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { fetch: 'undici' }),
+            { message: "'fetch' must be a function: undici" }
+        );
+    });
+});
+
+describe('test Request and URL inputs', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('accepts URL instances and reports their url', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .query({ size: 'large' })
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .query({ size: 'large' })
+            .reply(200);
+        const messages = [];
+        const logger = { debug: message => messages.push(message), info: () => {}, warn: message => messages.push(message), error: () => {} };
+        const url = new URL(`${FAKE_BASE_URL}${FAKE_PATH}?size=large`);
+        const response = await fetch(url, { retryOptions: { retryInitialDelay: 10, logger } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(messages[0], `Attempt 1: GET ${url.href}`);
+        assert.strictEqual(messages.length, 3);
+    });
+
+    it('retries Request objects with their method, headers and body', async () => {
+        const attempts = [];
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .twice()
+            .reply(function (uri, body) {
+                const headers = this.req.headers;
+                attempts.push({ body, type: String(headers['content-type']), auth: String(headers.authorization), key: String(headers['idempotency-key']) });
+                return [attempts.length === 1 ? 503 : 201];
+            });
+        const request = new Request(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain', authorization: 'Bearer expired' },
+            body: 'data'
+        });
+        const response = await fetch(request, {
+            headers: { Authorization: 'Bearer token' },
+            retryOptions: { retryInitialDelay: 10, idempotencyKey: 'key' }
+        });
+        assert.strictEqual(response.status, 201);
+        assert.deepStrictEqual(attempts, [
+            { body: 'data', type: 'text/plain', auth: 'Bearer token', key: 'key' },
+            { body: 'data', type: 'text/plain', auth: 'Bearer token', key: 'key' }
+        ]);
+        assert.strictEqual(request.bodyUsed, false);
+    });
+
+    it('retries Request objects with a stream body', async () => {
+        const bodies = [];
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .twice()
+            .reply((uri, body) => {
+                bodies.push(body);
+                return [bodies.length === 1 ? 503 : 200];
+            });
+        const request = new Request(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'PUT',
+            body: Readable.from(['hello ', 'world'])
+        });
+        const response = await fetch(request, { retryOptions: { retryInitialDelay: 10 } });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(bodies, ['hello world', 'hello world']);
+    });
+
+    it('stops when the signal of the Request is aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const request = new Request(`${FAKE_BASE_URL}${FAKE_PATH}`, { signal: controller.signal });
+        await assert.rejects(fetch(request), {
+            name: 'AbortError',
+            type: 'request-aborted',
+            message: `request to ${FAKE_BASE_URL}${FAKE_PATH} was aborted`
+        });
+    });
+
+    it('retries native Request objects with the native fetch', async function () {
+        if (typeof global.fetch !== 'function') {
+            this.skip();
+        }
+        const hostname = '127.0.0.1';
+        const port = await getPort();
+        const bodies = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                bodies.push(body);
+                res.statusCode = (bodies.length === 1) ? 503 : 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(port, hostname, resolve));
+        try {
+            const request = new global.Request(`http://${hostname}:${port}/`, { method: 'PUT', body: 'data' });
+            const response = await fetch(request, { fetch: global.fetch, retryOptions: { retryInitialDelay: 10 } });
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(bodies, ['data', 'data']);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('retries native Request objects with node-fetch', async function () {
+        if (typeof global.Request !== 'function') {
+            this.skip();
+        }
+        const attempts = [];
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .twice()
+            .reply(function (uri, body) {
+                attempts.push({ body, type: String(this.req.headers['content-type']) });
+                return [attempts.length === 1 ? 503 : 200];
+            });
+        const request = new global.Request(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'PUT',
+            headers: { 'content-type': 'text/plain' },
+            body: 'abc'
+        });
+        const response = await fetch(request, { retryOptions: { retryInitialDelay: 10 } });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(attempts, [
+            { body: 'abc', type: 'text/plain' },
+            { body: 'abc', type: 'text/plain' }
+        ]);
+    });
+});
+
+describe('test inspecting the response body', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    const isThrottled = async (response) => {
+        const { errors } = await response.json();
+        return !!errors && errors.some(error => error.extensions.code === 'THROTTLED');
+    };
+
+    it('retries on the body and returns an unread response', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(200, { errors: [{ message: 'slow down', extensions: { code: 'THROTTLED' } }] });
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(200, { data: { ok: true } }, { 'x-attempt': '2' });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            body: '{"query":"{ ok }"}',
+            retryOptions: { retryInitialDelay: 10, inspectResponseBody: true, retryOnHttpResponse: isThrottled }
+        });
+        assert(nock.isDone());
+        assert.ok(response instanceof Response);
+        assert.strictEqual(response.bodyUsed, false);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.ok, true);
+        assert.strictEqual(response.headers.get('x-attempt'), '2');
+        assert.strictEqual(response.url, `${FAKE_BASE_URL}${FAKE_PATH}`);
+        assert.deepStrictEqual(await response.json(), { data: { ok: true } });
+    });
+
+    it('passes an unread response to the hooks and to responseType', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { status: 'busy' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(204);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, { status: 'done' });
+        const bodies = [];
+        const { data } = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                inspectResponseBody: true,
+                responseType: 'json',
+                retryOnHttpResponse: async response => (await response.text()) !== '{"status":"done"}',
+                onRetry: async ({ response }) => bodies.push(await response.text())
+            }
+        });
+        assert(nock.isDone());
+        assert.deepStrictEqual(data, { status: 'done' });
+        assert.deepStrictEqual(bodies, ['{"status":"busy"}', '']);
+    });
+
+    it('retries when the body is not read within bodyTimeout', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayBody(500)
+            .reply(200, 'late');
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, 'ok');
+        const errors = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                bodyTimeout: 100,
+                inspectResponseBody: true,
+                onRetry: ({ error }) => errors.push(error)
+            }
+        });
+        assert(nock.isDone());
+        assert.strictEqual(await response.text(), 'ok');
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].type, 'body-timeout');
+    });
+
+    it('drops the encoding and length of the decoded body', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, zlib.gzipSync('{"status":"done"}'), {
+                'content-encoding': 'gzip',
+                'content-type': 'application/json',
+                'content-length': '37'
+            });
+        const inspected = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                inspectResponseBody: true,
+                retryOnHttpResponse: response => inspected.push(response) && false
+            }
+        });
+        for (const copy of [response, inspected[0]]) {
+            assert.strictEqual(copy.headers.get('content-encoding'), null);
+            assert.strictEqual(copy.headers.get('content-length'), null);
+            assert.strictEqual(copy.headers.get('content-type'), 'application/json');
+        }
+        assert.deepStrictEqual(await response.json(), { status: 'done' });
+    });
+
+    it('does not buffer bodies larger than maxBodyBufferSize', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, () => Readable.from(['x'.repeat(10), 'y'.repeat(10)]));
+        const inspected = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                inspectResponseBody: true,
+                maxBodyBufferSize: 15,
+                retryOnHttpResponse: response => inspected.push(response) && false
+            }
+        });
+        // the predicate gets the response itself
+        assert.strictEqual(inspected[0], response);
+        assert.strictEqual(await response.text(), `${'x'.repeat(10)}${'y'.repeat(10)}`);
+    });
+
+    it('inspects the body of native fetch responses', async function () {
+        if (typeof global.fetch !== 'function') {
+            this.skip();
+        }
+        const hostname = '127.0.0.1';
+        const port = await getPort();
+        let requests = 0;
+        const server = http.createServer((req, res) => {
+            ++requests;
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({ status: requests === 1 ? 'busy' : 'done' }));
+        });
+        await new Promise(resolve => server.listen(port, hostname, resolve));
+        try {
+            const response = await fetch(`http://${hostname}:${port}/status`, {
+                fetch: global.fetch,
+                retryOptions: {
+                    retryInitialDelay: 10,
+                    inspectResponseBody: true,
+                    retryOnHttpResponse: async response => (await response.json()).status === 'busy'
+                }
+            });
+            assert.strictEqual(requests, 2);
+            assert.ok(response instanceof global.Response);
+            assert.strictEqual(response.url, `http://${hostname}:${port}/status`);
+            assert.strictEqual(response.headers.get('content-type'), 'application/json');
+            assert.deepStrictEqual(await response.json(), { status: 'done' });
+        } finally {
+            server.close();
+        }
+    });
+
+    it('test retry with malformed inspectResponseBody', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { inspectResponseBody: 'yes' } }),
+            { message: "'inspectResponseBody' must be a boolean: yes" }
+        );
+    });
+});
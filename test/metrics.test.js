@@ -0,0 +1,178 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {FetchError} = require('node-fetch');
+const {METRICS, MetricsCollector, PrometheusMetrics} = require('../lib/metrics');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+describe('test MetricsCollector', () => {
+    it('sums counters and collects observations matching labels', () => {
+        const collector = new MetricsCollector();
+        collector.increment('requests', { method: 'GET', outcome: 'success' });
+        collector.increment('requests', { outcome: 'success', method: 'GET' }, 2);
+        collector.increment('requests', { method: 'POST', outcome: 'success' });
+        collector.observe('latency', { method: 'GET' }, 0.1);
+        collector.observe('latency', { method: 'POST' }, 0.2);
+        assert.strictEqual(collector.getCount('requests'), 4);
+        assert.strictEqual(collector.getCount('requests', { method: 'GET' }), 3);
+        assert.strictEqual(collector.getCount('requests', { method: 'PUT' }), 0);
+        assert.strictEqual(collector.getCount('unknown'), 0);
+        assert.deepStrictEqual(collector.getObservations('latency'), [0.1, 0.2]);
+        assert.deepStrictEqual(collector.getObservations('latency', { method: 'POST' }), [0.2]);
+        collector.reset();
+        assert.strictEqual(collector.getCount('requests'), 0);
+        assert.deepStrictEqual(collector.getObservations('latency'), []);
+    });
+});
+
+describe('test PrometheusMetrics', () => {
+    it('exposes counters and histograms in the text format', () => {
+        const prometheus = new PrometheusMetrics({ buckets: { [METRICS.attemptDuration]: [0.1, 1] } });
+        assert.strictEqual(prometheus.metrics(), '');
+        prometheus.increment(METRICS.requests, { origin: FAKE_BASE_URL, method: 'GET', outcome: 'success' });
+        prometheus.increment(METRICS.requests, { origin: FAKE_BASE_URL, method: 'GET', outcome: 'success' });
+        prometheus.increment('custom_total', { path: 'a"b\\c\nd' });
+        prometheus.observe(METRICS.attemptDuration, { status: '200' }, 0.05);
+        prometheus.observe(METRICS.attemptDuration, { status: '200' }, 0.5);
+        prometheus.observe(METRICS.attemptDuration, { status: '200' }, 2);
+        prometheus.observe(METRICS.attemptsPerRequest, {}, 2);
+        assert.strictEqual(prometheus.metrics(), [
+            '# HELP fetch_retry_requests_total Requests by final outcome',
+            '# TYPE fetch_retry_requests_total counter',
+            'fetch_retry_requests_total{method="GET",origin="https://fakeurl.com",outcome="success"} 2',
+            '# TYPE custom_total counter',
+            'custom_total{path="a\\"b\\\\c\\nd"} 1',
+            '# HELP fetch_retry_attempt_duration_seconds Duration of each attempt in seconds',
+            '# TYPE fetch_retry_attempt_duration_seconds histogram',
+            'fetch_retry_attempt_duration_seconds_bucket{le="0.1",status="200"} 1',
+            'fetch_retry_attempt_duration_seconds_bucket{le="1",status="200"} 2',
+            'fetch_retry_attempt_duration_seconds_bucket{le="+Inf",status="200"} 3',
+            'fetch_retry_attempt_duration_seconds_sum{status="200"} 2.55',
+            'fetch_retry_attempt_duration_seconds_count{status="200"} 3',
+            '# HELP fetch_retry_attempts_per_request Number of attempts made for each request',
+            '# TYPE fetch_retry_attempts_per_request histogram',
+            'fetch_retry_attempts_per_request_bucket{le="1"} 0',
+            'fetch_retry_attempts_per_request_bucket{le="2"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="3"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="4"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="5"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="10"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="20"} 1',
+            'fetch_retry_attempts_per_request_bucket{le="+Inf"} 1',
+            'fetch_retry_attempts_per_request_sum 2',
+            'fetch_retry_attempts_per_request_count 1',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('test fetch retry metrics', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('reports attempts, latencies and success', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const metrics = new MetricsCollector();
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { retryInitialDelay: 50, retryStrategy: 'constant', metrics }
+        });
+        assert.strictEqual(response.status, 200);
+        const labels = { origin: FAKE_BASE_URL, method: 'GET' };
+        assert.strictEqual(metrics.getCount(METRICS.requests, Object.assign({ outcome: 'success' }, labels)), 1);
+        assert.strictEqual(metrics.getCount(METRICS.attempts, labels), 3);
+        assert.strictEqual(metrics.getCount(METRICS.attempts, { status: '503' }), 1);
+        assert.strictEqual(metrics.getCount(METRICS.attempts, { status: 'ECONNRESET' }), 1);
+        assert.strictEqual(metrics.getCount(METRICS.attempts, { status: '200' }), 1);
+        assert.deepStrictEqual(metrics.getObservations(METRICS.attemptsPerRequest, labels), [3]);
+        assert.strictEqual(metrics.getObservations(METRICS.attemptDuration, labels).length, 3);
+
+        const backoff = metrics.getObservations(METRICS.backoff, labels);
+        assert.strictEqual(backoff.length, 2);
+        assert.ok(backoff.every(value => value >= 0.045 && value < 0.2), backoff);
+        const [duration] = metrics.getObservations(METRICS.requestDuration, labels);
+        assert.ok(duration >= 0.1, duration);
+    });
+
+    it('reports requests that gave up', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .replyWithError(new FetchError('socket hang up', 'system', { code: 'ECONNRESET' }));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(500)
+            .reply(200);
+        const metrics = new MetricsCollector();
+        const url = `${FAKE_BASE_URL}${FAKE_PATH}`;
+        await fetch(url, { retryOptions: { retryInitialDelay: 10, retryMaxAttempts: 2, metrics } });
+        await assert.rejects(fetch(url, { method: 'POST', retryOptions: { metrics } }), { code: 'ECONNRESET' });
+        await assert.rejects(fetch(url, {
+            retryOptions: { retryMaxDuration: 200, socketTimeout: 100, forceSocketTimeout: true, metrics }
+        }), { type: 'request-timeout' });
+
+        assert.strictEqual(metrics.getCount(METRICS.requests, { method: 'GET', outcome: 'gave-up-max-attempts' }), 1);
+        assert.strictEqual(metrics.getCount(METRICS.requests, { method: 'POST', outcome: 'gave-up-non-retryable' }), 1);
+        assert.strictEqual(metrics.getCount(METRICS.requests, { method: 'GET', outcome: 'gave-up-timeout' }), 1);
+        assert.ok(metrics.getCount(METRICS.attempts, { status: 'timeout' }) >= 1);
+    });
+
+    it('exposes fetch metrics to Prometheus', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const metrics = new PrometheusMetrics();
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { metrics } });
+        const text = metrics.metrics();
+        assert.ok(text.includes('fetch_retry_requests_total{method="GET",origin="https://fakeurl.com",outcome="success"} 1\n'), text);
+        assert.ok(text.includes('fetch_retry_attempts_total{method="GET",origin="https://fakeurl.com",status="200"} 1\n'), text);
+        assert.ok(text.includes('fetch_retry_attempts_per_request_count{method="GET",origin="https://fakeurl.com",outcome="success"} 1\n'), text);
+    });
+
+    it('ignores missing sink methods', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const counted = [];
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { metrics: { increment: (name) => counted.push(name) } } });
+        assert.deepStrictEqual(counted, [METRICS.attempts, METRICS.requests]);
+    });
+
+    it('test retry with malformed metrics', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { metrics: 'prometheus' } }),
+            { message: "'metrics' must be an object: prometheus" }
+        );
+    });
+});
@@ -0,0 +1,147 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {Headers, Response} = require('node-fetch');
+const AbortController = require('abort-controller');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+describe('test reusing options', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('keeps the retry options of a reused options object', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(404);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(404);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const retryOnHttpResponse = response => response.status === 404;
+        const options = {
+            headers: { accept: 'image/png' },
+            retryOptions: { retryInitialDelay: 10, retryOnHttpResponse }
+        };
+        for (let i = 0; i < 2; ++i) {
+            const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options);
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(options, {
+                headers: { accept: 'image/png' },
+                retryOptions: { retryInitialDelay: 10, retryOnHttpResponse }
+            });
+        }
+        assert(nock.isDone());
+    });
+
+    it('does not leak the signal of an attempt into later requests', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(300)
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(200);
+        const options = { retryOptions: { retryInitialDelay: 10, responseTimeout: 100 } };
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options);
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(options.signal, undefined);
+        assert.strictEqual((await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options)).status, 200);
+        assert(nock.isDone());
+    });
+
+    it('keeps the caller signal', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const controller = new AbortController();
+        const options = { signal: controller.signal };
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options);
+        assert.strictEqual(options.signal, controller.signal);
+        assert.deepStrictEqual(Object.keys(options), ['signal']);
+    });
+
+    it('does not change shared headers', async () => {
+        const tokens = [];
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .times(3)
+            .reply(function () {
+                tokens.push(String(this.req.headers.authorization));
+                return [tokens.length === 1 ? 401 : 200];
+            });
+        const headers = { Authorization: 'Bearer expired' };
+        const retryOptions = {
+            retryInitialDelay: 10,
+            idempotencyKey: true,
+            retryOnHttpResponse: response => response.status === 401,
+            onRetry: ({ options }) => {
+                options.headers.Authorization = 'Bearer refreshed';
+            }
+        };
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', body: 'data', headers, retryOptions });
+        assert.deepStrictEqual(headers, { Authorization: 'Bearer expired' });
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { method: 'POST', body: 'data', headers, retryOptions });
+        assert.deepStrictEqual(tokens, ['Bearer expired', 'Bearer refreshed', 'Bearer expired']);
+    });
+
+    it('does not change shared Headers instances or header arrays', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .twice()
+            .reply(200);
+        const headers = new Headers({ accept: 'image/png' });
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { headers, retryOptions: { idempotencyKey: 'key' } });
+        assert.deepStrictEqual(Array.from(headers.entries()), [['accept', 'image/png']]);
+        const pairs = [['accept', 'image/png']];
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            headers: pairs,
+            retryOptions: { onAttempt: ({ options }) => { options.headers[0][1] = 'text/html'; } }
+        });
+        assert.deepStrictEqual(pairs, [['accept', 'image/png']]);
+    });
+
+    it('keeps the body and fetch implementation of a reused options object', async () => {
+        const bodies = [];
+        const options = {
+            method: 'PUT',
+            body: 'data',
+            fetch: async (url, init) => {
+                bodies.push(init.body);
+                return new Response('ok');
+            },
+            retryOptions: false
+        };
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options);
+        await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, options);
+        assert.deepStrictEqual(bodies, ['data', 'data']);
+        assert.strictEqual(options.retryOptions, false);
+        assert.strictEqual(typeof options.fetch, 'function');
+    });
+});
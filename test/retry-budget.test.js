@@ -0,0 +1,239 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {FetchError} = require('node-fetch');
+const {Readable} = require('stream');
+const {RetryBudget} = require('../lib/retry-budget');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('test RetryBudget', () => {
+    it('allows the minimum retries per second', () => {
+        const budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 2, windowDuration: 1000 });
+        assert.ok(budget.tryRetry());
+        assert.ok(budget.tryRetry());
+        assert.strictEqual(budget.tryRetry(), false);
+        assert.deepStrictEqual(budget.getState(), {
+            requests: 0,
+            retries: 2,
+            available: 0,
+            ratio: 0,
+            minRetriesPerSecond: 2,
+            windowDuration: 1000
+        });
+    });
+
+    it('counts the minimum retries per second rather than per window', () => {
+        const budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 2, windowDuration: 10000 });
+        assert.ok(budget.canRetry());
+        assert.ok(budget.tryRetry());
+        assert.ok(budget.tryRetry());
+        assert.strictEqual(budget.canRetry(), false);
+        assert.strictEqual(budget.tryRetry(), false);
+        assert.strictEqual(budget.getState().retries, 2);
+    });
+
+    it('allows retries as a ratio of requests', () => {
+        const budget = new RetryBudget({ ratio: 0.2, minRetriesPerSecond: 0 });
+        for (let i = 0; i < 10; ++i) {
+            budget.recordRequest();
+        }
+        assert.strictEqual(budget.getState().available, 2);
+        assert.ok(budget.tryRetry());
+        assert.ok(budget.tryRetry());
+        assert.strictEqual(budget.tryRetry(), false);
+        assert.strictEqual(budget.getState().retries, 2);
+    });
+
+    it('only counts requests and retries within windowDuration', async () => {
+        const budget = new RetryBudget({ ratio: 1, minRetriesPerSecond: 0, windowDuration: 50 });
+        budget.recordRequest();
+        assert.ok(budget.tryRetry());
+        assert.strictEqual(budget.tryRetry(), false);
+        await sleep(60);
+        assert.deepStrictEqual(budget.getState().requests, 0);
+        assert.deepStrictEqual(budget.getState().retries, 0);
+        budget.recordRequest();
+        assert.ok(budget.tryRetry());
+    });
+
+    it('defaults', () => {
+        const budget = new RetryBudget();
+        assert.deepStrictEqual(budget.getState(), {
+            requests: 0,
+            retries: 0,
+            available: 10,
+            ratio: 0.2,
+            minRetriesPerSecond: 10,
+            windowDuration: 10000
+        });
+    });
+
+    it('validates options', () => {
+        assert.throws(() => new RetryBudget({ ratio: -1 }), { message: '`ratio` must not be a negative number' });
+        assert.throws(() => new RetryBudget({ minRetriesPerSecond: 'a' }), { message: '`minRetriesPerSecond` must not be a negative number' });
+        assert.throws(() => new RetryBudget({ windowDuration: 0 }), { message: '`windowDuration` must be a positive integer >= 1' });
+    });
+});
+
+describe('test fetch retry with retry budget', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('returns the last response once the budget is used up', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(2)
+            .reply(503);
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 1, windowDuration: 1000 });
+        let giveUp;
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryBudget,
+                onGiveUp: (context) => { giveUp = context; }
+            }
+        });
+        assert.strictEqual(response.status, 503);
+        assert(nock.isDone());
+        assert.strictEqual(giveUp.reason, 'retryBudget');
+        assert.strictEqual(giveUp.attempt, 2);
+        assert.deepStrictEqual(retryBudget.getState().requests, 1);
+        assert.deepStrictEqual(retryBudget.getState().retries, 1);
+    });
+
+    it('rejects with the original error once the budget is used up', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError({ message: 'something went wrong', code: 'ECONNRESET' });
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 0 });
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryBudget } });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof FetchError);
+            assert.ok(!(e instanceof fetch.RetryError));
+            assert.strictEqual(e.code, 'ECONNRESET');
+        }
+        assert(nock.isDone());
+    });
+
+    it('names the budget when the last attempt timed out', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .delayConnection(500)
+            .reply(200);
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 0 });
+        try {
+            await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryBudget, socketTimeout: 100, forceSocketTimeout: true } });
+            assert.fail("Should have thrown an error!");
+        } catch (e) {
+            assert.ok(e instanceof fetch.RetryError);
+            assert.strictEqual(e.type, 'retry-budget-exhausted');
+            assert.strictEqual(e.message, `request to ${FAKE_BASE_URL}${FAKE_PATH} failed after 1 attempt (retryBudget reached), reason: network timeout`);
+        }
+    });
+
+    it('is not spent when the body cannot be replayed', async () => {
+        nock(FAKE_BASE_URL)
+            .put(FAKE_PATH)
+            .reply(503);
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 1, windowDuration: 1000 });
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+                method: 'PUT',
+                body: Readable.from(['hello', ' ', 'stream']),
+                retryOptions: { retryBudget, maxBodyBufferSize: 4 }
+            }),
+            { type: 'body-not-replayable' }
+        );
+        assert(nock.isDone());
+        assert.strictEqual(retryBudget.getState().retries, 0);
+        assert.strictEqual(retryBudget.getState().available, 1);
+    });
+
+    it('is only taken from when the retry is sent', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 1, windowDuration: 1000 });
+        const retries = [];
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { retryInitialDelay: 10, retryBudget, onRetry: () => retries.push(retryBudget.getState().retries) }
+        });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(retries, [0]);
+        assert.strictEqual(retryBudget.getState().retries, 1);
+    });
+
+    it('gives up when other requests used up the budget during the wait', async () => {
+        nock(FAKE_BASE_URL)
+            .get('/first')
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .get('/first')
+            .reply(200);
+        nock(FAKE_BASE_URL)
+            .get('/second')
+            .reply(503);
+        const retryBudget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 1, windowDuration: 1000 });
+        const [first, second] = await Promise.allSettled([
+            fetch(`${FAKE_BASE_URL}/first`, { retryOptions: { retryBudget, retryStrategy: () => 10 } }),
+            fetch(`${FAKE_BASE_URL}/second`, { retryOptions: { retryBudget, retryStrategy: () => 100 } })
+        ]);
+        assert(nock.isDone());
+        assert.strictEqual(first.value.status, 200);
+        assert.ok(second.reason instanceof fetch.RetryError);
+        assert.strictEqual(second.reason.type, 'retry-budget-exhausted');
+        assert.strictEqual(second.reason.message, `request to ${FAKE_BASE_URL}/second failed after 1 attempt (retryBudget reached), reason: status 503`);
+        assert.strictEqual(retryBudget.getState().retries, 1);
+    });
+
+    it('is shared across requests', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .times(3)
+            .reply(503);
+        const retryBudget = new RetryBudget({ ratio: 0.5, minRetriesPerSecond: 0 });
+        const configuredFetch = fetch.createFetch({ retryOptions: { retryBudget, retryInitialDelay: 10 } });
+        // one retry for every two requests: only the second request is retried
+        assert.strictEqual((await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`)).status, 503);
+        assert.strictEqual((await configuredFetch(`${FAKE_BASE_URL}${FAKE_PATH}`)).status, 503);
+        assert(nock.isDone());
+        assert.strictEqual(retryBudget.getState().retries, 1);
+    });
+
+    it('test retry with malformed retryBudget', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryBudget: {} } }),
+            { message: "'retryBudget' must be a RetryBudget: [object Object]" }
+        );
+    });
+});
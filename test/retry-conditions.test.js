@@ -0,0 +1,185 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+/* eslint mocha/no-mocha-arrows: "off" */
+
+'use strict';
+
+const nock = require('nock');
+const assert = require('assert');
+const fetch = require('../index');
+const {Headers} = require('node-fetch');
+const {
+    isStatusList, isErrorCodeList, isHeaderConditions,
+    createStatusCondition, createHeadersCondition, createErrorCodesCondition, anyCondition
+} = require('../lib/retry-conditions');
+
+const FAKE_BASE_URL = 'https://fakeurl.com';
+const FAKE_PATH = '/image/test.png';
+
+describe('test retry conditions', () => {
+    it('validates conditions', () => {
+        assert.ok(isStatusList([]));
+        assert.ok(isStatusList([429, '500-599', ' 404 ', '502 - 504']));
+        assert.ok(!isStatusList(429));
+        assert.ok(!isStatusList([99]));
+        assert.ok(!isStatusList([429.5]));
+        assert.ok(!isStatusList(['5xx']));
+        assert.ok(!isStatusList(['599-500']));
+        assert.ok(!isStatusList(['500-600']));
+        assert.ok(isErrorCodeList(['ECONNRESET', 'body-timeout']));
+        assert.ok(!isErrorCodeList('ECONNRESET'));
+        assert.ok(!isErrorCodeList(['']));
+        assert.ok(isHeaderConditions({ 'x-cache-status': 'STALE', 'x-error': ['a', 'b'] }));
+        assert.ok(!isHeaderConditions({ 'x-cache-status': true }));
+        assert.ok(!isHeaderConditions([['x-cache-status', 'STALE']]));
+        assert.ok(!isHeaderConditions(null));
+    });
+
+    it('matches status codes and ranges', () => {
+        const condition = createStatusCondition([429, '500-599']);
+        assert.ok(condition({ status: 429 }));
+        assert.ok(condition({ status: 500 }));
+        assert.ok(condition({ status: 599 }));
+        assert.ok(!condition({ status: 200 }));
+        assert.ok(!condition({ status: 404 }));
+        assert.strictEqual(createStatusCondition(), undefined);
+    });
+
+    it('matches header values', () => {
+        const condition = createHeadersCondition({ 'X-Cache-Status': 'stale', 'x-error': ['a', 'b'] });
+        assert.ok(condition({ headers: new Headers({ 'x-cache-status': 'STALE' }) }));
+        assert.ok(condition({ headers: new Headers({ 'x-error': 'hit, b' }) }));
+        assert.ok(!condition({ headers: new Headers({ 'x-cache-status': 'HIT' }) }));
+        assert.ok(!condition({ headers: new Headers() }));
+        assert.strictEqual(createHeadersCondition(), undefined);
+    });
+
+    it('matches error codes and types', () => {
+        const condition = createErrorCodesCondition(['ECONNRESET', 'body-timeout']);
+        assert.ok(condition({ code: 'ECONNRESET' }));
+        assert.ok(condition({ type: 'body-timeout' }));
+        assert.ok(!condition({ code: 'ETIMEDOUT', type: 'system' }));
+        assert.strictEqual(createErrorCodesCondition(), undefined);
+    });
+
+    it('combines conditions', async () => {
+        const isOdd = value => value % 2 === 1;
+        assert.strictEqual(anyCondition([]), undefined);
+        assert.strictEqual(anyCondition([undefined, isOdd]), isOdd);
+        const condition = anyCondition([isOdd, async value => value === 4]);
+        assert.strictEqual(await condition(3), true);
+        assert.strictEqual(await condition(4), true);
+        assert.strictEqual(await condition(2), false);
+    });
+});
+
+describe('test fetch retry with declarative conditions', () => {
+    afterEach(() => {
+        assert(nock.isDone);
+        nock.cleanAll();
+    });
+
+    it('retries on status codes and ranges', async () => {
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(429);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(503);
+        nock(FAKE_BASE_URL)
+            .post(FAKE_PATH)
+            .reply(404);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            method: 'POST',
+            body: 'data',
+            retryOptions: { retryInitialDelay: 10, retryOnStatus: [429, '500-599'] }
+        });
+        assert.strictEqual(response.status, 404);
+        assert(nock.isDone());
+    });
+
+    it('retries on header values', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, 'stale', { 'x-cache-status': 'STALE' });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200, 'fresh', { 'x-cache-status': 'HIT' });
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: { retryInitialDelay: 10, retryOnHeaders: { 'x-cache-status': 'STALE' } }
+        });
+        assert.strictEqual(await response.text(), 'fresh');
+        assert(nock.isDone());
+    });
+
+    it('retries on error codes only', async () => {
+        const networkError = (code) => Object.assign(new Error(`network error ${code}`), { code });
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('ECONNRESET'));
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .replyWithError(networkError('ETIMEDOUT'));
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryInitialDelay: 10, retryOnErrorCodes: ['ECONNRESET'] } }),
+            { name: 'FetchError', code: 'ETIMEDOUT' }
+        );
+        assert(nock.isDone());
+    });
+
+    it('composes with the function predicates', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(401);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(429);
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(200);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, {
+            retryOptions: {
+                retryInitialDelay: 10,
+                retryOnStatus: [429],
+                retryOnHttpResponse: async response => response.status === 401
+            }
+        });
+        assert.strictEqual(response.status, 200);
+        assert(nock.isDone());
+    });
+
+    it('replaces the default conditions', async () => {
+        nock(FAKE_BASE_URL)
+            .get(FAKE_PATH)
+            .reply(500);
+        const response = await fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryOnStatus: [429] } });
+        assert.strictEqual(response.status, 500);
+        assert(nock.isDone());
+    });
+
+    it('test retry with malformed declarative conditions', async () => {
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryOnStatus: ['5xx'] } }),
+            { message: '\'retryOnStatus\' must be a list of status codes or ranges such as "500-599": 5xx' }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryOnErrorCodes: 'ECONNRESET' } }),
+            { message: '\'retryOnErrorCodes\' must be a list of error codes: ECONNRESET' }
+        );
+        await assert.rejects(
+            fetch(`${FAKE_BASE_URL}${FAKE_PATH}`, { retryOptions: { retryOnHeaders: { 'x-cache-status': 1 } } }),
+            { message: '\'retryOnHeaders\' must map header names to a value or a list of values: [object Object]' }
+        );
+    });
+});